@@ -0,0 +1,192 @@
+// === CONTACT FORM SUBMIT ===
+// submit handler: inline validation, spam checks and an offline outbox;
+// delivery goes through the transport named by data-transport. Each step
+// dispatches a bubbling 'contactstatus' event on the form, detail.state one of
+// invalid | too-soon | sending | sent | error | timeout | queued | network
+
+import { $ } from './utils.js';
+import { createContactTransport } from './contact-transports.js';
+
+export function initContactForm() {
+  const form = $('.contact-form');
+  const status = $('.form-status');
+  if (!form || !status) return;
+
+  const transport = createContactTransport(form);
+  const submitBtn = $('button[type="submit"]', form);
+  const honeypot = form.elements._gotcha;
+  const OUTBOX_KEY = 'contactOutbox';
+  const MIN_FILL_TIME = 3000; // ms; faster submissions are almost always bots
+  const renderedAt = Date.now();
+  let clearStatusTimer = null;
+
+  // field rules, checked in order; first failing message wins
+  const RULES = {
+    name: [
+      [(v) => v.length > 0, 'Please enter your name.'],
+      [(v) => v.length >= 2, 'Your name should be at least 2 characters.'],
+    ],
+    email: [
+      [(v) => v.length > 0, 'Please enter your email address.'],
+      [(v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v), 'Please enter a valid email address.'],
+    ],
+    message: [
+      [(v) => v.length > 0, 'Please write a message.'],
+      [(v) => v.length >= 10, 'Your message should be at least 10 characters.'],
+    ],
+  };
+
+  // our own inline messages replace the browser's validation bubbles
+  form.setAttribute('novalidate', '');
+
+  function setStatus(text, { clearAfter = 0, state } = {}) {
+    clearTimeout(clearStatusTimer);
+    status.textContent = text;
+    if (clearAfter) clearStatusTimer = setTimeout(() => (status.textContent = ''), clearAfter);
+    if (state) form.dispatchEvent(new CustomEvent('contactstatus', { bubbles: true, detail: { state } }));
+  }
+
+  // validate one field, updating its inline error; returns true when valid
+  function validateField(field) {
+    const rules = RULES[field.name];
+    if (!rules) return true;
+    const errorEl = document.getElementById(`${field.id}Error`);
+    const value = field.value.trim();
+    const failed = rules.find(([test]) => !test(value));
+
+    if (errorEl) {
+      errorEl.textContent = failed ? failed[1] : '';
+      field.setAttribute('aria-describedby', errorEl.id);
+    }
+    field.setAttribute('aria-invalid', String(!!failed));
+    return !failed;
+  }
+
+  function validatedFields() {
+    return Object.keys(RULES)
+      .map((name) => form.elements[name])
+      .filter(Boolean);
+  }
+
+  // validate on blur; once a field is flagged, re-check as the user types
+  validatedFields().forEach((field) => {
+    field.addEventListener('blur', () => validateField(field));
+    field.addEventListener('input', () => {
+      if (field.getAttribute('aria-invalid') === 'true') validateField(field);
+    });
+  });
+
+  // plain object of the form's fields (queued submissions must be serialisable)
+  function snapshot() {
+    const fields = {};
+    new FormData(form).forEach((value, key) => {
+      if (key !== '_gotcha') fields[key] = value;
+    });
+    return fields;
+  }
+
+  // --- offline outbox (localStorage) ---
+  function readOutbox() {
+    try {
+      return JSON.parse(localStorage.getItem(OUTBOX_KEY)) || [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function writeOutbox(items) {
+    try {
+      if (items.length) localStorage.setItem(OUTBOX_KEY, JSON.stringify(items));
+      else localStorage.removeItem(OUTBOX_KEY);
+      return true;
+    } catch (err) {
+      return false; // storage full or disabled
+    }
+  }
+
+  // retry queued messages; stops at the first network failure
+  let flushing = false;
+  async function flushOutbox() {
+    if (flushing || !navigator.onLine) return;
+    const queue = readOutbox();
+    if (!queue.length) return;
+    flushing = true;
+    let sent = 0;
+    try {
+      while (queue.length) {
+        let response;
+        try {
+          response = await transport.send(queue[0].fields);
+        } catch (err) {
+          break; // still offline; keep the rest for the next 'online' event
+        }
+        // rejected submissions (4xx/5xx) will not succeed on retry either
+        if (!response.ok) console.warn('[contact] dropping queued message, server replied', response.status);
+        else sent++;
+        queue.shift();
+        writeOutbox(queue);
+      }
+    } finally {
+      flushing = false;
+    }
+    if (sent) setStatus('✅ Your saved message was sent!', { clearAfter: 4000, state: 'sent' });
+  }
+
+  window.addEventListener('online', flushOutbox);
+  flushOutbox();
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault(); // prevent page reload
+
+    const invalid = validatedFields().filter((field) => !validateField(field));
+    if (invalid.length) {
+      setStatus('', { state: 'invalid' });
+      invalid[0].focus();
+      return;
+    }
+
+    // bots fill the honeypot; pretend all is well and send nothing
+    if (honeypot && honeypot.value) {
+      form.reset();
+      setStatus('✅ Message sent successfully!', { clearAfter: 3000 });
+      return;
+    }
+
+    if (Date.now() - renderedAt < MIN_FILL_TIME) {
+      setStatus('⏳ That was quick! Please give it a moment and try again.', { state: 'too-soon' });
+      return;
+    }
+
+    const fields = snapshot();
+    submitBtn.disabled = true;
+    form.setAttribute('aria-busy', 'true');
+    setStatus('Sending...', { state: 'sending' });
+
+    try {
+      const response = await transport.send(fields);
+      if (response.ok) {
+        setStatus('✅ Message sent successfully!', { clearAfter: 3000, state: 'sent' });
+        form.reset();
+      } else {
+        setStatus('❌ Something went wrong. Try again.', { state: 'error' });
+      }
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        setStatus('⏱️ The server took too long to answer. Please try again.', { state: 'timeout' });
+        return;
+      }
+      // network failure: keep the message and retry once the browser is back online
+      if (transport.queueable !== false && writeOutbox([...readOutbox(), { fields, queuedAt: Date.now() }])) {
+        form.reset();
+        setStatus("📡 You're offline. Your message is saved and will be sent when you're back online.", {
+          state: 'queued',
+        });
+      } else {
+        setStatus('⚠️ Network error. Please try again.', { state: 'network' });
+      }
+    } finally {
+      submitBtn.disabled = false;
+      form.removeAttribute('aria-busy');
+    }
+  });
+}
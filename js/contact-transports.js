@@ -0,0 +1,85 @@
+// === CONTACT TRANSPORTS ===
+// adapters that deliver a contact submission; chosen with form[data-transport].
+// send(fields) resolves { ok, status } and rejects on network failure or timeout
+// (err.name === 'TimeoutError') so callers can queue or report
+
+export const CONTACT_TRANSPORTS = {
+  // Formspree (default): form-encoded POST, JSON reply
+  formspree(endpoint, opts) {
+    return {
+      name: 'formspree',
+      send(fields) {
+        const data = new FormData();
+        Object.keys(fields).forEach((key) => data.append(key, fields[key]));
+        return fetchWithTimeout(endpoint, {
+          method: opts.method,
+          body: data,
+          headers: { Accept: 'application/json' },
+        }, opts.timeout);
+      },
+    };
+  },
+
+  // generic webhook: JSON body
+  webhook(endpoint, opts) {
+    return {
+      name: 'webhook',
+      send(fields) {
+        return fetchWithTimeout(endpoint, {
+          method: 'POST',
+          body: JSON.stringify({ ...fields, sentAt: new Date().toISOString() }),
+          headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        }, opts.timeout);
+      },
+    };
+  },
+
+  // mailto: hands the message to the visitor's mail app (no network involved)
+  mailto(endpoint, opts) {
+    const address = opts.mailto || endpoint.replace(/^mailto:/, '');
+    return {
+      name: 'mailto',
+      queueable: false, // the mail app handles delivery; nothing to retry
+      send(fields) {
+        const subject = `Portfolio message from ${fields.name || 'a visitor'}`;
+        const body = `${fields.message || ''}\n\n${fields.name || ''} <${fields.email || ''}>`;
+        window.location.href =
+          `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+        return Promise.resolve({ ok: true, status: 0 });
+      },
+    };
+  },
+};
+
+// fetch that rejects with a TimeoutError after ms
+export function fetchWithTimeout(url, options, ms) {
+  if (!ms || typeof AbortController !== 'function') return fetch(url, options);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ms);
+  return fetch(url, { ...options, signal: controller.signal })
+    .catch((err) => {
+      if (err.name !== 'AbortError') throw err;
+      const timeout = new Error(`Request timed out after ${ms}ms`);
+      timeout.name = 'TimeoutError';
+      throw timeout;
+    })
+    .finally(() => clearTimeout(timer));
+}
+
+// transport for a form: data-transport picks the adapter, data-endpoint
+// overrides form.action, data-timeout (ms) and data-mailto tune it
+export function createContactTransport(form) {
+  const d = form.dataset;
+  const type = d.transport || 'formspree';
+  const factory = CONTACT_TRANSPORTS[type];
+  const opts = {
+    method: (form.getAttribute('method') || 'POST').toUpperCase(),
+    timeout: Number(d.timeout) || 10000,
+    mailto: d.mailto,
+  };
+  if (!factory) {
+    console.warn(`[contact] unknown transport "${type}", using formspree.`);
+    return CONTACT_TRANSPORTS.formspree(d.endpoint || form.action, opts);
+  }
+  return factory(d.endpoint || form.action, opts);
+}
@@ -0,0 +1,101 @@
+// === HERO TIMELINE ===
+// caption cues played against the hero video. Every caption's look is derived
+// from video.currentTime (no free-running timers), so seeking, pausing and
+// looping stay in sync; CSS enter/exit effects are seeked with a negative
+// animation-delay and paused with the video.
+//
+// cue: { target: element id, start, end (s), enter/exit: { effect: keyframes name, duration (s) } }
+// visible from start to end; enter plays from start, exit finishes at end
+
+import { ticker } from './ticker.js';
+
+// phase of a cue at time t (s): hidden | enter | shown | exit, with seconds into it
+export function cuePhase(cue, t) {
+  const enter = cue.enter ? cue.enter.duration : 0;
+  const exit = cue.exit ? cue.exit.duration : 0;
+  if (t < cue.start || t >= cue.end) return { phase: 'hidden', offset: 0 };
+  if (t < cue.start + enter) return { phase: 'enter', offset: t - cue.start };
+  if (t >= cue.end - exit) return { phase: 'exit', offset: t - (cue.end - exit) };
+  return { phase: 'shown', offset: t - cue.start - enter };
+}
+
+// cues from a JSON timeline ({ captions: [...] } or a bare array); drops
+// entries without a target or a usable time range
+export function normalizeCues(json) {
+  const list = Array.isArray(json) ? json : (json && json.captions) || [];
+  return list.filter((cue) => {
+    const ok = cue && cue.target && Number.isFinite(cue.start) && Number.isFinite(cue.end) && cue.end > cue.start;
+    if (!ok) console.warn('[hero] skipping invalid caption cue:', cue);
+    return ok;
+  });
+}
+
+export function createHeroTimeline(video, cues) {
+  const tracks = cues
+    .map((cue) => ({ cue, el: document.getElementById(cue.target), phase: null }))
+    .filter((t) => {
+      if (!t.el) console.warn(`[hero] caption cue targets missing #${t.cue.target}.`);
+      return t.el;
+    });
+  let stopTicking = null;
+
+  // style one caption for its phase; force re-applies the effect offset (after a seek)
+  function render(track, t, force) {
+    const { phase, offset } = cuePhase(track.cue, t);
+    const el = track.el;
+    const playState = video.paused ? 'paused' : 'running';
+
+    if (phase === track.phase && !force) {
+      el.style.animationPlayState = playState;
+      return;
+    }
+    track.phase = phase;
+
+    if (phase === 'hidden' || phase === 'shown') {
+      el.style.animation = 'none';
+      el.style.opacity = phase === 'shown' ? '1' : '0';
+      return;
+    }
+    const { effect, duration } = track.cue[phase];
+    el.style.opacity = '';
+    el.style.animation = `${effect} ${duration}s ${-offset}s forwards ${playState}`;
+  }
+
+  function sync(force = false) {
+    const t = video.currentTime || 0;
+    tracks.forEach((track) => render(track, t, force));
+  }
+
+  // follow the playhead every frame while playing; timeupdate alone is too coarse
+  function play() {
+    if (!stopTicking) stopTicking = ticker.add(() => sync());
+    sync(true);
+  }
+
+  function pause() {
+    if (stopTicking) stopTicking();
+    stopTicking = null;
+    sync(true);
+  }
+
+  const onSeek = () => sync(true);
+  const handlers = { play: play, playing: play, pause, ended: pause, seeked: onSeek, seeking: onSeek, timeupdate: () => sync() };
+  Object.entries(handlers).forEach(([type, fn]) => video.addEventListener(type, fn));
+
+  if (video.paused) sync(true);
+  else play();
+
+  return {
+    sync,
+    // stop following the video and clear every caption's effect
+    destroy() {
+      if (stopTicking) stopTicking();
+      stopTicking = null;
+      Object.entries(handlers).forEach(([type, fn]) => video.removeEventListener(type, fn));
+      tracks.forEach(({ el }) => {
+        el.style.animation = 'none';
+        el.style.opacity = '0';
+      });
+    },
+  };
+}
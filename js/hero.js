@@ -0,0 +1,132 @@
+// === HERO MODULE ===
+// loads and plays the hero video (unless the visitor saves data or motion),
+// runs the caption timeline over it, owns the play/pause toggle and wires the
+// down arrow
+
+import { $, reduceMotion, loadJSON } from './utils.js';
+import { createHeroTimeline, normalizeCues } from './hero-timeline.js';
+
+// connection types too slow for a background video
+const SLOW_CONNECTIONS = ['slow-2g', '2g'];
+
+// true when the browser reports data-saver mode or a slow connection
+export function prefersLessData(connection = navigator.connection) {
+  if (!connection) return false;
+  return !!connection.saveData || SLOW_CONNECTIONS.includes(connection.effectiveType);
+}
+
+export function initHeroModule({ pager }) {
+  const video = $('#heroVideo');
+  const hero = video && video.closest('.hero');
+  const toggle = $('#heroVideoToggle');
+  const heroArrow = $('.hero-arrow') || $('.hero .hero-arrow');
+
+  if (video && hero) {
+    let failed = false;
+    let autoPaused = false; // paused for reduced motion, resumes when it is turned off
+
+    // static layout: poster behind both captions, no caption effects
+    const setStatic = (on) => hero.classList.toggle('hero--static', on);
+
+    function loadVideo() {
+      if (video.getAttribute('src') || !video.dataset.src) return;
+      video.src = video.dataset.src;
+      video.load();
+    }
+
+    function play() {
+      if (failed) return;
+      loadVideo();
+      setStatic(false);
+      const p = video.play();
+      // autoplay can be refused; keep the static hero until the toggle is used
+      if (p && p.catch) p.catch(() => setStatic(true));
+    }
+
+    function pause() {
+      video.pause();
+      syncToggle();
+    }
+
+    function syncToggle() {
+      if (!toggle) return;
+      const paused = video.paused;
+      toggle.setAttribute('aria-pressed', String(paused));
+      const icon = toggle.querySelector('i');
+      if (icon) icon.className = `fas ${paused ? 'fa-play' : 'fa-pause'}`;
+    }
+
+    // the mp4 is missing or undecodable: fall back to the poster for good
+    video.addEventListener('error', () => {
+      if (!video.getAttribute('src')) return; // nothing requested yet
+      console.warn(`[hero] could not play ${video.dataset.src}, showing the static hero.`);
+      failed = true;
+      hero.classList.add('hero--no-video');
+      setStatic(true);
+      if (toggle) toggle.hidden = true;
+    });
+    video.addEventListener('play', syncToggle);
+    video.addEventListener('pause', syncToggle);
+
+    if (toggle) {
+      toggle.addEventListener('click', () => {
+        autoPaused = false;
+        if (video.paused) play();
+        else pause();
+      });
+    }
+
+    // follow the OS motion setting while the page is open
+    const motionQuery = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)');
+    if (motionQuery && motionQuery.addEventListener) {
+      motionQuery.addEventListener('change', (e) => {
+        if (e.matches && !video.paused) {
+          autoPaused = true;
+          pause();
+          setStatic(true);
+        } else if (!e.matches && autoPaused) {
+          autoPaused = false;
+          play();
+        }
+      });
+    }
+
+    // start: data savers and reduced-motion users get the static hero; the
+    // toggle still lets them opt into the video
+    if (prefersLessData() || reduceMotion) {
+      autoPaused = reduceMotion && !prefersLessData();
+      setStatic(true);
+      syncToggle();
+    } else {
+      play();
+    }
+
+    loadTimeline().then((cues) => {
+      if (cues.length) createHeroTimeline(video, cues);
+    });
+  }
+
+  // caption cues from the JSON file in video[data-timeline]
+  function loadTimeline() {
+    const src = video.dataset.timeline;
+    if (!src) return Promise.resolve([]);
+    return loadJSON(src)
+      .then(normalizeCues)
+      .catch((err) => {
+        console.warn(`[hero] could not load ${src}, captions stay hidden.`, err);
+        return [];
+      });
+  }
+
+  // hero arrow scroll handler to roadmap
+  if (heroArrow) {
+    heroArrow.addEventListener(
+      'click',
+      (e) => {
+        e.preventDefault();
+        if (!pager.goTo('workRoadmap')) pager.next();
+      },
+      { passive: true }
+    );
+  }
+}
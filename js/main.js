@@ -0,0 +1,74 @@
+/* ========================================================
+   Portfolio entry point (ES module)
+   - Creates the shared router + pager and the theme controller
+   - Boots every section module once the DOM is ready
+   - Each module lives in its own file under js/ and is
+     importable on its own (see test/)
+   ======================================================== */
+import { ticker } from './ticker.js';
+import { createSectionRouter } from './router.js';
+import { createSectionPager } from './pager.js';
+import { initHeroModule } from './hero.js';
+import { initRoadmapModule } from './roadmap.js';
+import { initSkillsModule } from './skills.js';
+import { initUpArrows } from './up-arrows.js';
+import { initParticlesModule } from './particles.js';
+import { initProjectCatalog } from './project-catalog.js';
+import { initProjectModal } from './project-modal.js';
+import { initProjectSliders } from './project-sliders.js';
+import { initProjectsLayer } from './projects-layer.js';
+import { initToolsModule } from './tools.js';
+import { initContactForm } from './contact-form.js';
+import { createThemeController, initThemeToggle } from './theme.js';
+import { createRevealer, initRevealModule } from './reveal.js';
+import { createTagIndex } from './tag-index.js';
+import { initOfflineModule } from './offline.js';
+import { initLazyBackgrounds, loadImageManifest } from './responsive-images.js';
+
+// shared hash router and one-section-per-gesture pager on top of it
+const router = createSectionRouter();
+const pager = createSectionPager(router);
+
+// light/dark theme; canvas modules subscribe to redraw on change
+const theme = createThemeController();
+
+// scroll-in entrances for [data-reveal] blocks, shared with the skills sequence
+const reveal = createRevealer();
+
+// tag index cross-linking skills, tools and projects
+const tagIndex = createTagIndex();
+
+// === BOOTSTRAP ===
+function boot() {
+  // AVIF / WebP variants of the screenshots and section backgrounds
+  const images = loadImageManifest();
+
+  initThemeToggle({ theme });
+  initHeroModule({ pager });
+  initRoadmapModule({ router });
+  // sliders, the detail modal and the skills' project links need the cards
+  const catalog = initProjectCatalog({ tagIndex });
+  initSkillsModule({ theme, reveal, projects: catalog, tagIndex });
+  initUpArrows({ pager }); // create up arrows + integrate down-arrow handling
+  initParticlesModule({ theme });
+  catalog.then((entries) => {
+    initProjectSliders({ images });
+    initProjectModal(entries, { router });
+    reveal.refresh(document.getElementById('projectsContainer'));
+  });
+  initLazyBackgrounds({ images });
+  initProjectsLayer();
+  initToolsModule({ tagIndex }).then(() => reveal.refresh(document.getElementById('toolsContainer')));
+  initContactForm();
+  initRevealModule({ reveal });
+  initOfflineModule(); // service worker + offline indicator
+  router.start(); // restore section from location.hash
+  pager.start();
+
+  // free CPU when page hidden/unloaded
+  window.addEventListener('pagehide', ticker.stop, { passive: true });
+  window.addEventListener('beforeunload', ticker.stop, { passive: true });
+}
+
+if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', boot);
+else boot();
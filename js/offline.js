@@ -0,0 +1,44 @@
+// === OFFLINE SUPPORT ===
+// registers sw.js, which keeps an offline copy of the site, and shows
+// #offlineIndicator while the browser reports no connection
+
+import { $ } from './utils.js';
+
+const OFFLINE_MESSAGE = 'You’re offline. Showing the saved copy of this site.';
+
+// resolves the registration, or null where service workers are unavailable
+// (file://, old browsers, private modes that block them)
+export function registerServiceWorker(container = navigator.serviceWorker, url = 'sw.js') {
+  if (!container) return Promise.resolve(null);
+  return container.register(url).catch((err) => {
+    console.warn('[offline] could not register the service worker, the site will not work offline.', err);
+    return null;
+  });
+}
+
+// serviceWorker: navigator.serviceWorker unless given (tests pass a stub)
+export function initOfflineModule({ serviceWorker = navigator.serviceWorker } = {}) {
+  const indicator = $('#offlineIndicator');
+  const text = indicator && $('.offline-indicator-text', indicator);
+
+  // the status region stays in the page; its text changes so screen readers
+  // announce going offline
+  function sync() {
+    const offline = navigator.onLine === false;
+    document.documentElement.classList.toggle('is-offline', offline);
+    if (!indicator) return;
+    indicator.classList.toggle('is-visible', offline);
+    if (text) text.textContent = offline ? OFFLINE_MESSAGE : '';
+  }
+
+  window.addEventListener('online', sync);
+  window.addEventListener('offline', sync);
+  sync();
+
+  // after load, so precaching does not compete with the page's own requests
+  const register = () => registerServiceWorker(serviceWorker);
+  if (document.readyState === 'complete') return register();
+  return new Promise((resolve) => {
+    window.addEventListener('load', () => resolve(register()), { once: true });
+  });
+}
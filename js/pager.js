@@ -0,0 +1,210 @@
+// === SECTION PAGER ===
+// full-page paging: one section per wheel gesture, swipe or key press
+
+import { now, $$, reduceMotion, debounce } from './utils.js';
+
+export function createSectionPager(router, { pageSelector = '.hero, section' } = {}) {
+  const WHEEL_THRESHOLD = 30; // accumulated deltaY (px) before a wheel gesture pages
+  const GESTURE_GAP = 180; // ms of wheel silence that ends a gesture
+  const SWIPE_MIN = 50; // px of vertical travel for a swipe
+  const SWIPE_MAX_TIME = 800; // ms; slower drags are not swipes
+
+  let pages = [];
+  let index = 0;
+  let started = false;
+
+  // ids of pages in document order
+  function pageIds() {
+    return pages.map((p) => p.id);
+  }
+
+  // true when the event target handles its own keys/scrolling
+  function isEditable(el) {
+    if (!el || el === document.body) return false;
+    return (
+      el.isContentEditable ||
+      /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName) ||
+      !!el.closest('input, textarea, select, [contenteditable="true"]')
+    );
+  }
+
+  // an open modal dialog owns input; the page behind must not move
+  function modalOpen() {
+    return !!document.querySelector('dialog[open]');
+  }
+
+  // true when el (or an ancestor) can still scroll in the wheel direction
+  function canScrollInside(el, deltaY) {
+    for (let n = el; n && n !== document.body && n !== document.documentElement; n = n.parentElement) {
+      if (n.scrollHeight <= n.clientHeight) continue;
+      const oy = getComputedStyle(n).overflowY;
+      if (oy !== 'auto' && oy !== 'scroll') continue;
+      if (deltaY > 0 && n.scrollTop + n.clientHeight < n.scrollHeight - 1) return true;
+      if (deltaY < 0 && n.scrollTop > 0) return true;
+    }
+    return false;
+  }
+
+  // scroll within a page taller than the viewport before leaving it
+  function scrollWithinPage(dir) {
+    const page = pages[index];
+    if (!page) return false;
+    const rect = page.getBoundingClientRect();
+    const vh = window.innerHeight;
+    const behavior = reduceMotion ? 'auto' : 'smooth';
+    if (dir > 0 && rect.bottom > vh + 2) {
+      window.scrollBy({ top: Math.min(vh * 0.9, rect.bottom - vh), behavior });
+      return true;
+    }
+    if (dir < 0 && rect.top < -2) {
+      window.scrollBy({ top: -Math.min(vh * 0.9, -rect.top), behavior });
+      return true;
+    }
+    return false;
+  }
+
+  // go to a page by id (adds a history entry)
+  function goTo(id) {
+    const i = pageIds().indexOf(id);
+    if (i === -1) return false;
+    index = i;
+    return router.go(id);
+  }
+
+  // step one page; gesture paging replaces history so Back returns to the last link
+  function step(dir) {
+    if (!pages.length || scrollWithinPage(dir)) return false;
+    const i = Math.max(0, Math.min(pages.length - 1, index + dir));
+    if (i === index) return false;
+    index = i;
+    return router.go(pages[i].id, { replace: true });
+  }
+
+  const next = () => step(1);
+  const prev = () => step(-1);
+
+  // --- wheel: one page per gesture, gesture ends after GESTURE_GAP of silence ---
+  let wheelLocked = false;
+  let wheelAcc = 0;
+  const endWheelGesture = debounce(() => {
+    wheelLocked = false;
+    wheelAcc = 0;
+  }, GESTURE_GAP);
+
+  function onWheel(e) {
+    if (modalOpen()) return;
+    if (e.ctrlKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) return; // pinch-zoom / horizontal
+    if (isEditable(e.target) || canScrollInside(e.target, e.deltaY)) return;
+    e.preventDefault();
+    endWheelGesture();
+    if (wheelLocked) return;
+    wheelAcc += e.deltaY;
+    if (Math.abs(wheelAcc) < WHEEL_THRESHOLD) return;
+    wheelLocked = true;
+    step(wheelAcc > 0 ? 1 : -1);
+  }
+
+  // --- touch: vertical swipe pages, form fields keep native behaviour ---
+  let touch = null;
+
+  function onTouchStart(e) {
+    if (e.touches.length !== 1 || isEditable(e.target) || modalOpen()) {
+      touch = null;
+      return;
+    }
+    const t = e.touches[0];
+    touch = { x: t.clientX, y: t.clientY, time: now() };
+  }
+
+  function onTouchMove(e) {
+    if (!touch) return;
+    const t = e.touches[0];
+    const dy = t.clientY - touch.y;
+    const dx = t.clientX - touch.x;
+    if (Math.abs(dy) > Math.abs(dx) && !canScrollInside(e.target, -dy)) e.preventDefault();
+  }
+
+  function onTouchEnd(e) {
+    if (!touch) return;
+    const t = e.changedTouches[0];
+    const dy = t.clientY - touch.y;
+    const dx = t.clientX - touch.x;
+    const quick = now() - touch.time <= SWIPE_MAX_TIME;
+    touch = null;
+    if (quick && Math.abs(dy) >= SWIPE_MIN && Math.abs(dy) > Math.abs(dx)) step(dy < 0 ? 1 : -1);
+  }
+
+  // --- keyboard: paging keys, ignored in form fields and on focused controls ---
+  function onKeyDown(e) {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || isEditable(e.target)) return;
+    if (modalOpen()) return;
+    const onControl = e.target.closest && e.target.closest('button, a, [role="button"], [role="tab"]');
+
+    let handled = true;
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'PageDown':
+        next();
+        break;
+      case 'ArrowUp':
+      case 'PageUp':
+        prev();
+        break;
+      case ' ':
+        if (onControl) return; // Space activates the focused control
+        e.shiftKey ? prev() : next();
+        break;
+      case 'Home':
+        goTo(pages[0].id);
+        break;
+      case 'End':
+        goTo(pages[pages.length - 1].id);
+        break;
+      default:
+        handled = false;
+    }
+    if (handled) e.preventDefault();
+  }
+
+  // keep the index in step with native scrolling (focus moves, screen readers, find-in-page)
+  function syncIndexToViewport() {
+    const mid = window.innerHeight / 2;
+    const i = pages.findIndex((p) => {
+      const r = p.getBoundingClientRect();
+      return r.top <= mid && r.bottom > mid;
+    });
+    if (i !== -1) index = i;
+  }
+
+  // collect pages and attach listeners
+  function start() {
+    if (started) return;
+    started = true;
+    pages = $$(pageSelector).filter((p) => p.id);
+    if (!pages.length) return;
+
+    const routed = pageIds().indexOf(router.current);
+    index = routed === -1 ? 0 : routed;
+    router.onChange((id) => {
+      const i = pageIds().indexOf(id);
+      if (i !== -1) index = i;
+    });
+
+    window.addEventListener('wheel', onWheel, { passive: false });
+    window.addEventListener('touchstart', onTouchStart, { passive: true });
+    window.addEventListener('touchmove', onTouchMove, { passive: false });
+    window.addEventListener('touchend', onTouchEnd, { passive: true });
+    window.addEventListener('keydown', onKeyDown);
+    window.addEventListener('scroll', debounce(syncIndexToViewport, 120), { passive: true });
+  }
+
+  return {
+    next,
+    prev,
+    goTo,
+    start,
+    get current() {
+      return pages[index] ? pages[index].id : null;
+    },
+  };
+}
@@ -0,0 +1,257 @@
+// === PARTICLE SCENE ===
+// dust + car emoji simulation and drawing for the contact canvas; DOM-free so
+// the same code runs on the main thread and in particles-worker.js.
+// Particles push away from the pointer, cars gather into a "sent" burst or
+// scatter on a failed send, and clicking a car sends it zooming off
+
+// one frame at 60 Hz; particle speeds are px per frame at this rate
+const FRAME_MS = 1000 / 60;
+
+// full-quality particle counts; scaled by the measured quality
+const NUM_DUST = 60;
+const NUM_CARS = 5;
+
+const POINTER_RADIUS = 110; // px; particles inside this are pushed away
+const POINTER_FORCE = 1.4; // px per frame of push at the pointer itself
+const DRAG = 0.92; // share of push velocity kept per frame
+const GATHER_MS = 900; // cars zoom into the ring...
+const HOLD_MS = 450; // ...hold it, then burst outward
+const CAR_ICONS = ['🚗', '🚕', '🚙', '🏎️', '🚓'];
+
+// ctx: 2D context of a canvas or OffscreenCanvas sized width x height
+export function createParticleScene(ctx, { width, height, quality = 1, dustColor = '#ffffffaa' }) {
+  const dust = [];
+  const cars = [];
+  const puffs = []; // short-lived emoji (💨 behind a clicked car, ✉️ in a burst)
+  let pointer = null; // { x, y } in canvas px
+  let carClicks = 0;
+
+  // dust particle
+  class Dust {
+    constructor() {
+      this.reset();
+    }
+    reset() {
+      this.x = Math.random() * width;
+      this.y = Math.random() * height;
+      this.size = Math.random() * 2 + 1;
+      this.speedY = Math.random() * 0.5 + 0.15;
+      this.vx = 0; // push velocity from pointer / bursts
+      this.vy = 0;
+    }
+    update(k) {
+      push(this, k);
+      this.x += this.vx * k;
+      this.y += (this.vy - this.speedY) * k;
+      if (this.y < -10 || this.y > height + 10 || this.x < -10 || this.x > width + 10) this.reset();
+    }
+    draw() {
+      ctx.beginPath();
+      ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
+      ctx.fillStyle = dustColor;
+      ctx.fill();
+    }
+  }
+
+  // car emoji particle
+  class CarParticle {
+    constructor() {
+      this.reset();
+      this.icon = CAR_ICONS[0];
+    }
+    reset() {
+      this.x = Math.random() * width;
+      this.y = Math.random() * height;
+      this.size = 18 + Math.random() * 8;
+      this.scale = 1;
+      this.speedY = Math.random() * 0.35 + 0.12;
+      this.floatX = Math.random() * 50;
+      this.floatSpeed = Math.random() * 0.02 + 0.01;
+      this.vx = 0;
+      this.vy = 0;
+      this.spin = 0; // radians left of an easter-egg spin
+      this.gather = null; // { x, y, angle, t } while forming the "sent" ring
+    }
+    update(k, dt) {
+      if (this.gather) return this.updateGather(k, dt);
+      push(this, k);
+      this.x += (Math.sin(this.floatX) * 0.3 + this.vx) * k;
+      this.y += (this.vy - this.speedY) * k;
+      this.floatX += this.floatSpeed * k;
+      this.scale += (1 - this.scale) * (1 - Math.pow(0.9, k));
+      if (this.spin > 0) this.spin = Math.max(0, this.spin - 0.25 * k);
+      if (this.y < -60 || this.y > height + 60 || this.x < -80 || this.x > width + 80) {
+        const icon = this.icon;
+        this.reset();
+        this.icon = icon;
+        this.y = height + 30; // re-enter from below
+      }
+    }
+    // ease towards the ring slot, then burst outward from it
+    updateGather(k, dt) {
+      const g = this.gather;
+      g.t += dt;
+      const ease = 1 - Math.pow(0.86, k);
+      this.x += (g.x - this.x) * ease;
+      this.y += (g.y - this.y) * ease;
+      this.scale += (1.7 - this.scale) * ease;
+      if (g.t >= GATHER_MS + HOLD_MS) {
+        this.gather = null;
+        this.vx = Math.cos(g.angle) * 9;
+        this.vy = Math.sin(g.angle) * 9;
+      }
+    }
+    // rough glyph box for hit-testing (text is drawn from its baseline)
+    contains(x, y) {
+      const s = this.size * this.scale;
+      return x >= this.x - 4 && x <= this.x + s + 4 && y >= this.y - s - 4 && y <= this.y + 6;
+    }
+    draw() {
+      const s = this.size * this.scale;
+      ctx.save();
+      ctx.translate(this.x + s / 2, this.y - s / 2);
+      if (this.spin) ctx.rotate(this.spin);
+      ctx.font = `${s}px sans-serif`;
+      ctx.globalAlpha = 0.88;
+      ctx.fillText(this.icon, -s / 2, s / 2);
+      ctx.restore();
+    }
+  }
+
+  // push a particle away from the pointer, then let the push decay
+  function push(p, k) {
+    if (pointer) {
+      const dx = p.x - pointer.x;
+      const dy = p.y - pointer.y;
+      const dist = Math.hypot(dx, dy);
+      if (dist > 0.5 && dist < POINTER_RADIUS) {
+        const force = (1 - dist / POINTER_RADIUS) * POINTER_FORCE * k;
+        p.vx += (dx / dist) * force;
+        p.vy += (dy / dist) * force;
+      }
+    }
+    const drag = Math.pow(DRAG, k);
+    p.vx *= drag;
+    p.vy *= drag;
+  }
+
+  function addPuff(icon, x, y, ttl, size = 22) {
+    puffs.push({ icon, x, y, ttl, life: ttl, size });
+  }
+
+  // grow or trim the particle sets to a quality level
+  function setQuality(q) {
+    const dustCount = Math.round(NUM_DUST * q);
+    const carCount = Math.max(1, Math.round(NUM_CARS * q));
+    while (dust.length < dustCount) dust.push(new Dust());
+    while (cars.length < carCount) cars.push(new CarParticle());
+    dust.length = dustCount;
+    cars.length = carCount;
+  }
+
+  // paint every particle at its current position
+  function paint() {
+    ctx.clearRect(0, 0, width, height);
+    for (let i = 0; i < dust.length; i++) dust[i].draw();
+    for (let i = 0; i < cars.length; i++) cars[i].draw();
+    for (let i = 0; i < puffs.length; i++) {
+      const p = puffs[i];
+      ctx.save();
+      ctx.globalAlpha = Math.max(0, p.ttl / p.life);
+      ctx.font = `${p.size}px sans-serif`;
+      ctx.fillText(p.icon, p.x, p.y);
+      ctx.restore();
+    }
+  }
+
+  // advance by dt ms and repaint
+  function step(dt) {
+    const k = dt / FRAME_MS;
+    for (let i = 0; i < dust.length; i++) dust[i].update(k);
+    for (let i = 0; i < cars.length; i++) cars[i].update(k, dt);
+    for (let i = puffs.length - 1; i >= 0; i--) {
+      puffs[i].ttl -= dt;
+      puffs[i].y -= 0.4 * k;
+      if (puffs[i].ttl <= 0) puffs.splice(i, 1);
+    }
+    paint();
+  }
+
+  // new canvas size; particles keep their place relative to the canvas
+  function resize(w, h) {
+    const sx = width ? w / width : 1;
+    const sy = height ? h / height : 1;
+    width = w;
+    height = h;
+    [...dust, ...cars, ...puffs].forEach((p) => {
+      p.x *= sx;
+      p.y *= sy;
+    });
+  }
+
+  // pointer position in canvas px (null when it leaves); true when over a car
+  function setPointer(x, y) {
+    pointer = x === null || x === undefined ? null : { x, y };
+    return !!pointer && cars.some((car) => car.contains(x, y));
+  }
+
+  // easter egg: a clicked car spins, changes model and zooms off; true on a hit
+  function clickAt(x, y) {
+    const car = cars.find((c) => c.contains(x, y));
+    if (!car) return false;
+    carClicks++;
+    addPuff('💨', car.x - 10, car.y, 700);
+    car.icon = CAR_ICONS[carClicks % CAR_ICONS.length];
+    car.spin = Math.PI * 2;
+    car.scale = 1.5;
+    car.vy = -12;
+    // every fifth click turns the whole fleet into race cars
+    if (carClicks % 5 === 0) cars.forEach((c) => (c.icon = '🏎️'));
+    return true;
+  }
+
+  // form feedback: 'sent' gathers the cars into a ring that bursts outward,
+  // 'scatter' flings everything away from the centre
+  function burst(kind) {
+    const cx = width / 2;
+    const cy = height / 2;
+    if (kind === 'sent') {
+      const radius = Math.min(width, height) * 0.18 + 30;
+      cars.forEach((car, i) => {
+        const angle = (i / cars.length) * Math.PI * 2 - Math.PI / 2;
+        car.gather = { x: cx + Math.cos(angle) * radius, y: cy + Math.sin(angle) * radius, angle, t: 0 };
+      });
+      addPuff('✉️', cx - 18, cy + 12, GATHER_MS + HOLD_MS + 300, 36);
+    } else if (kind === 'scatter') {
+      cars.forEach((car) => (car.gather = null));
+      [...dust, ...cars].forEach((p) => {
+        const angle = Math.atan2(p.y - cy, p.x - cx) + (Math.random() - 0.5) * 0.6;
+        const speed = 6 + Math.random() * 6;
+        p.vx = Math.cos(angle) * speed;
+        p.vy = Math.sin(angle) * speed;
+      });
+      cars.forEach((car) => (car.spin = Math.PI * (Math.random() < 0.5 ? 1 : 2)));
+    }
+  }
+
+  setQuality(quality);
+
+  return {
+    step,
+    paint,
+    resize,
+    setQuality,
+    setPointer,
+    clickAt,
+    burst,
+    setDustColor(color) {
+      dustColor = color;
+    },
+    get particles() {
+      return [...dust, ...cars];
+    },
+    get cars() {
+      return cars.slice();
+    },
+  };
+}
@@ -0,0 +1,93 @@
+// === CONTACT PARTICLES WORKER ===
+// runs the particle scene on an OffscreenCanvas handed over by particles.js.
+// messages in:  { type: 'init', canvas, width, height, quality, dustColor, running }
+//               { type: 'resize', width, height } | { type: 'run', running }
+//               { type: 'quality', quality } | { type: 'color', dustColor } | { type: 'stop' }
+//               { type: 'pointer', x, y } | { type: 'click', x, y } | { type: 'burst', kind }
+// messages out: { type: 'hover', car } when the pointer moves on or off a car
+
+import { createParticleScene } from './particles-scene.js';
+
+const MAX_DELTA = 100; // ms; longer gaps (hidden tab, stalls) count as this
+
+// requestAnimationFrame exists in workers alongside OffscreenCanvas in most
+// browsers; otherwise step on a 60 Hz timer
+const requestFrame = self.requestAnimationFrame
+  ? (fn) => self.requestAnimationFrame(fn)
+  : (fn) => setTimeout(() => fn(performance.now()), 1000 / 60);
+const cancelFrame = self.cancelAnimationFrame ? (id) => self.cancelAnimationFrame(id) : (id) => clearTimeout(id);
+
+let canvas = null;
+let scene = null;
+let running = false;
+let frameId = null;
+let last = null;
+let overCar = false;
+
+function frame(time) {
+  frameId = null;
+  if (!running) return;
+  const dt = last === null ? 1000 / 60 : Math.min(time - last, MAX_DELTA);
+  last = time;
+  scene.step(dt);
+  frameId = requestFrame(frame);
+}
+
+function setRunning(value) {
+  running = value;
+  if (running && !frameId) {
+    last = null;
+    scene.paint();
+    frameId = requestFrame(frame);
+  } else if (!running && frameId) {
+    cancelFrame(frameId);
+    frameId = null;
+  }
+}
+
+self.addEventListener('message', ({ data }) => {
+  if (data.type === 'init') {
+    canvas = data.canvas;
+    canvas.width = data.width;
+    canvas.height = data.height;
+    scene = createParticleScene(canvas.getContext('2d'), data);
+    setRunning(data.running);
+    return;
+  }
+  if (!scene) return;
+
+  switch (data.type) {
+    case 'resize':
+      canvas.width = data.width; // also clears the bitmap
+      canvas.height = data.height;
+      scene.resize(data.width, data.height);
+      if (running) scene.paint();
+      break;
+    case 'run':
+      setRunning(data.running);
+      break;
+    case 'quality':
+      scene.setQuality(data.quality);
+      break;
+    case 'color':
+      scene.setDustColor(data.dustColor);
+      if (running) scene.paint(); // recolour straight away
+      break;
+    case 'pointer': {
+      const car = scene.setPointer(data.x, data.y);
+      if (car !== overCar) self.postMessage({ type: 'hover', car });
+      overCar = car;
+      break;
+    }
+    case 'click':
+      if (running) scene.clickAt(data.x, data.y);
+      break;
+    case 'burst':
+      if (running) scene.burst(data.kind);
+      break;
+    case 'stop':
+      setRunning(false);
+      self.close();
+      break;
+  }
+});
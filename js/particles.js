@@ -0,0 +1,194 @@
+// === CONTACT PARTICLES ===
+// canvas dust + car emojis, visibility-driven and perf-aware; drawn in a
+// worker on an OffscreenCanvas where supported, on the main thread otherwise.
+// Particles dodge the pointer, react to the contact form's 'contactstatus'
+// events and the cars are clickable
+
+import { $, reduceMotion, debounce, throttle } from './utils.js';
+import { themeColor } from './theme.js';
+import { ticker } from './ticker.js';
+import { createParticleScene } from './particles-scene.js';
+
+export function initParticlesModule({ theme } = {}) {
+  let canvas = $('#particlesCanvas');
+  if (!canvas || !canvas.getContext) return;
+
+  const section = canvas.parentElement || canvas;
+  let visible = true;
+  const dustColor = () => themeColor('--color-dust', '#ffffffaa');
+  const shouldRun = () => visible && !reduceMotion && !document.hidden;
+
+  let renderer = createRenderer();
+  if (!renderer) return; // no 2D canvas support
+
+  // canvas size from its box, or the window
+  function measure() {
+    return {
+      width: canvas.offsetWidth || window.innerWidth,
+      height: canvas.offsetHeight || window.innerHeight,
+    };
+  }
+
+  // worker renderer when the canvas can be transferred, else main thread
+  function createRenderer() {
+    if (typeof canvas.transferControlToOffscreen === 'function' && typeof Worker === 'function') {
+      try {
+        return createWorkerRenderer();
+      } catch (err) {
+        console.warn('[particles] worker unavailable, drawing on the main thread.', err);
+        replaceCanvas(); // a transferred canvas cannot be drawn on here
+      }
+    }
+    return createMainRenderer();
+  }
+
+  // simulation + drawing in particles-worker.js
+  function createWorkerRenderer() {
+    const worker = new Worker(new URL('./particles-worker.js', import.meta.url), { type: 'module' });
+    const offscreen = canvas.transferControlToOffscreen();
+    worker.postMessage(
+      { type: 'init', canvas: offscreen, ...measure(), quality: ticker.quality, dustColor: dustColor(), running: shouldRun() },
+      [offscreen]
+    );
+
+    // worker failed to load (e.g. no module workers): swap in a fresh canvas and
+    // carry on on the main thread
+    worker.addEventListener('message', ({ data }) => {
+      if (data.type === 'hover') setHover(data.car);
+    });
+    worker.addEventListener('error', (e) => {
+      e.preventDefault();
+      console.warn('[particles] worker failed, drawing on the main thread.', e.message);
+      worker.terminate();
+      replaceCanvas();
+      renderer = createMainRenderer();
+      if (renderer) renderer.run(shouldRun());
+    });
+
+    return {
+      resize: (size) => worker.postMessage({ type: 'resize', ...size }),
+      run: (running) => worker.postMessage({ type: 'run', running }),
+      setQuality: (quality) => worker.postMessage({ type: 'quality', quality }),
+      setDustColor: (color) => worker.postMessage({ type: 'color', dustColor: color }),
+      pointer: (x, y) => worker.postMessage({ type: 'pointer', x, y }),
+      click: (x, y) => worker.postMessage({ type: 'click', x, y }),
+      burst: (kind) => worker.postMessage({ type: 'burst', kind }),
+      stop: () => worker.postMessage({ type: 'stop' }),
+    };
+  }
+
+  // same scene on the shared ticker
+  function createMainRenderer() {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+    const size = measure();
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const scene = createParticleScene(ctx, { ...size, quality: ticker.quality, dustColor: dustColor() });
+    let stopTicking = null;
+
+    function run(running) {
+      if (running && !stopTicking) {
+        scene.paint(); // first frame now rather than on the next tick
+        stopTicking = ticker.add((dt) => {
+          if (reduceMotion) return run(false);
+          scene.step(dt);
+        });
+      } else if (!running && stopTicking) {
+        stopTicking();
+        stopTicking = null;
+      }
+    }
+
+    return {
+      resize(next) {
+        canvas.width = next.width; // also clears the bitmap
+        canvas.height = next.height;
+        scene.resize(next.width, next.height);
+        if (stopTicking) scene.paint();
+      },
+      run,
+      setQuality: scene.setQuality,
+      setDustColor(color) {
+        scene.setDustColor(color);
+        if (stopTicking) scene.paint(); // recolour straight away
+      },
+      pointer: (x, y) => setHover(scene.setPointer(x, y)),
+      click(x, y) {
+        if (stopTicking) scene.clickAt(x, y);
+      },
+      burst(kind) {
+        if (stopTicking) scene.burst(kind);
+      },
+      stop: () => run(false),
+    };
+  }
+
+  // clone of the canvas that has not been transferred
+  function replaceCanvas() {
+    const fresh = canvas.cloneNode(false);
+    canvas.replaceWith(fresh);
+    canvas = fresh;
+  }
+
+  const sync = () => renderer.run(shouldRun());
+  sync();
+
+  // pause/resume based on visibility
+  const vis = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        visible = entry.isIntersecting;
+        sync();
+      });
+    },
+    { threshold: 0.01 }
+  );
+  vis.observe(section);
+  document.addEventListener('visibilitychange', sync);
+  const motionQuery = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)');
+  if (motionQuery && motionQuery.addEventListener) motionQuery.addEventListener('change', sync);
+
+  ticker.onQualityChange((quality) => renderer.setQuality(quality));
+  if (theme) theme.onChange(() => renderer.setDustColor(dustColor()));
+
+  // resize keeps particles where they are (scaled to the new size). Watches
+  // the section, which the canvas fills: a failed worker swaps the canvas
+  const onResize = debounce(() => renderer.resize(measure()), 100);
+  if ('ResizeObserver' in window) new ResizeObserver(onResize).observe(section);
+  else window.addEventListener('resize', onResize, { passive: true });
+
+  // --- pointer / touch ---
+  // the canvas ignores pointer events, so track them on its section
+  function toCanvas(e) {
+    const rect = canvas.getBoundingClientRect();
+    return [e.clientX - rect.left, e.clientY - rect.top];
+  }
+
+  // pointer cursor while over a car
+  function setHover(car) {
+    section.classList.toggle('car-hover', !!car);
+  }
+
+  section.addEventListener('pointermove', throttle((e) => renderer.pointer(...toCanvas(e)), 16), { passive: true });
+  section.addEventListener('pointerdown', (e) => renderer.pointer(...toCanvas(e)), { passive: true });
+  section.addEventListener('pointerleave', () => renderer.pointer(null, null), { passive: true });
+  section.addEventListener('pointercancel', () => renderer.pointer(null, null), { passive: true });
+
+  // easter egg: clicks on the bare background can hit a car
+  section.addEventListener('click', (e) => {
+    if (e.target === section || e.target === canvas) renderer.click(...toCanvas(e));
+  });
+
+  // --- form activity ---
+  const BURSTS = { sent: 'sent', error: 'scatter', timeout: 'scatter', network: 'scatter' };
+  document.addEventListener('contactstatus', (e) => {
+    const kind = BURSTS[e.detail && e.detail.state];
+    if (kind) renderer.burst(kind);
+  });
+
+  window.addEventListener('pagehide', () => {
+    visible = false; // stays stopped
+    renderer.stop();
+  });
+}
@@ -0,0 +1,230 @@
+// === PROJECT CATALOG ===
+// renders project cards from projects.json with an animated tag filter bar;
+// resolves [{ project, card }] for modules that need the data behind each card.
+// With a tag index, cards are registered by their tags, stack and tools, narrow
+// to the chosen skill or tool, and can select their own skills and tools
+
+import { $, reduceMotion, loadJSON } from './utils.js';
+
+export function initProjectCatalog({ tagIndex } = {}) {
+  const container = $('#projectsContainer');
+  const filterBar = $('#projectFilters');
+  const emptyEl = $('#projectsEmpty');
+  const tagFilterEl = $('#projectTagFilter');
+  let activeTag = ''; // filter bar choice; '' is All
+  if (!container) return Promise.resolve([]);
+
+  const src = container.dataset.content;
+  if (!src) return Promise.resolve([]);
+
+  return loadJSON(src)
+    .then((json) => {
+      const projects = (Array.isArray(json) ? json : json.projects || []).filter((p) => {
+        if (p && p.title) return true;
+        console.warn('[projects] skipping project without a title:', p);
+        return false;
+      });
+      const filters = json.filters || uniqueTags(projects);
+
+      container.textContent = '';
+      const entries = projects.map((project) => ({ project, card: renderCard(project) }));
+      const cards = entries.map((e) => e.card);
+      cards.forEach((card) => container.appendChild(card));
+      if (filterBar) renderFilters(filters, cards);
+      if (tagIndex) linkTags(entries, cards);
+      return entries;
+    })
+    .catch((err) => {
+      console.warn(`[projects] could not load ${src}.`, err);
+      showEmpty('Projects could not be loaded right now.');
+      return [];
+    });
+
+  // tags in first-seen order
+  function uniqueTags(projects) {
+    const tags = [];
+    projects.forEach((p) => (p.tags || []).forEach((t) => tags.includes(t) || tags.push(t)));
+    return tags;
+  }
+
+  // card markup matching the original hand-written cards
+  function renderCard(project) {
+    const card = document.createElement('div');
+    card.className = 'project-card';
+    project.id = project.id || project.title.toLowerCase().replace(/\s+/g, '-');
+    card.dataset.project = project.id;
+    card.dataset.tags = (project.tags || []).join(' ');
+
+    const slider = document.createElement('div');
+    slider.className = 'project-slider';
+    (project.images || []).forEach((image, i) => {
+      const img = document.createElement('img');
+      img.loading = 'lazy'; // before src, so off-screen cards do not download
+      img.src = image.src;
+      img.alt = image.alt || `${project.title} screenshot ${i + 1}`;
+      if (i === 0) img.className = 'active';
+      slider.appendChild(img);
+    });
+
+    const info = document.createElement('div');
+    info.className = 'project-info';
+    const title = document.createElement('h3');
+    title.textContent = project.title;
+    const desc = document.createElement('p');
+    desc.textContent = project.description || '';
+    info.append(title, desc);
+
+    if (project.tags && project.tags.length) {
+      const tagList = document.createElement('ul');
+      tagList.className = 'project-tags';
+      tagList.setAttribute('aria-label', 'Built with');
+      project.tags.forEach((tag) => {
+        const li = document.createElement('li');
+        li.textContent = tag;
+        tagList.appendChild(li);
+      });
+      info.appendChild(tagList);
+    }
+
+    const links = document.createElement('div');
+    links.className = 'project-links';
+    const { live, source } = project.links || {};
+    if (live) links.appendChild(renderLink(live, 'fas fa-external-link-alt', 'Live'));
+    if (source) links.appendChild(renderLink(source, 'fab fa-github', 'Source'));
+    const details = document.createElement('button');
+    details.type = 'button';
+    details.className = 'project-details-btn';
+    details.setAttribute('aria-haspopup', 'dialog');
+    details.innerHTML = '<i class="fas fa-images"></i> Details';
+    links.appendChild(details);
+    if (tagIndex) {
+      const related = document.createElement('button');
+      related.type = 'button';
+      related.className = 'project-related-btn';
+      related.setAttribute('aria-pressed', 'false');
+      related.innerHTML = '<i class="fas fa-link"></i> Skills &amp; tools';
+      related.addEventListener('click', () => tagIndex.select('project', project.id));
+      links.appendChild(related);
+    }
+    info.appendChild(links);
+
+    card.append(slider, info);
+    return card;
+  }
+
+  function renderLink(href, icon, label) {
+    const a = document.createElement('a');
+    a.href = href;
+    a.target = '_blank';
+    a.rel = 'noopener';
+    a.innerHTML = `<i class="${icon}"></i> `;
+    a.appendChild(document.createTextNode(label));
+    return a;
+  }
+
+  // "All" plus one toggle per tag; a single filter is active at a time
+  function renderFilters(tags, cards) {
+    filterBar.textContent = '';
+    const buttons = ['All', ...tags].map((tag) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'project-filter';
+      btn.textContent = tag;
+      btn.dataset.tag = tag === 'All' ? '' : tag;
+      btn.setAttribute('aria-pressed', String(tag === 'All'));
+      btn.addEventListener('click', () => {
+        buttons.forEach((b) => b.setAttribute('aria-pressed', String(b === btn)));
+        activeTag = btn.dataset.tag;
+        // a bar choice replaces a skill / tool narrowing (which re-filters on clear)
+        const narrowed = tagIndex && tagIndex.selection && tagIndex.selection.kind !== 'project';
+        if (narrowed) tagIndex.clear();
+        else applyBarFilter(cards);
+      });
+      filterBar.appendChild(btn);
+      return btn;
+    });
+  }
+
+  function showEmpty(message) {
+    if (!emptyEl) return;
+    emptyEl.textContent = message;
+    emptyEl.hidden = false;
+  }
+
+  function applyBarFilter(cards) {
+    const tag = activeTag;
+    applyFilter((card) => !tag || card.dataset.tags.split(' ').includes(tag), cards, `No ${tag} projects yet — check back soon.`);
+  }
+
+  // register cards with the tag index; a chosen skill or tool narrows the
+  // cards to the ones using it, anything else restores the filter bar
+  function linkTags(entries, cards) {
+    entries.forEach(({ project, card }) => {
+      const tags = [...(project.tags || []), ...(project.stack || []), ...(project.tools || [])];
+      tagIndex.add('project', project.id, card, tags, project.title);
+    });
+
+    const clearBtn = tagFilterEl && $('.project-tag-clear', tagFilterEl);
+    if (clearBtn) clearBtn.addEventListener('click', () => tagIndex.clear());
+
+    let narrowed = false;
+    tagIndex.onChange((selection) => {
+      entries.forEach(({ project, card }) => {
+        const btn = $('.project-related-btn', card);
+        const pressed = !!selection && selection.kind === 'project' && selection.id === project.id;
+        if (btn) btn.setAttribute('aria-pressed', String(pressed));
+      });
+
+      if (selection && selection.kind !== 'project') {
+        narrowed = true;
+        const related = new Set(selection.related.map((it) => it.el));
+        applyFilter((card) => related.has(card), cards, `No ${selection.label} projects yet — check back soon.`);
+        if (tagFilterEl) {
+          $('.project-tag-name', tagFilterEl).textContent = selection.label;
+          tagFilterEl.hidden = false;
+        }
+      } else if (narrowed) {
+        narrowed = false;
+        if (tagFilterEl) tagFilterEl.hidden = true;
+        applyBarFilter(cards);
+      }
+    });
+  }
+
+  // show matching cards, animating survivors to their new slots (FLIP)
+  function applyFilter(matches, cards, emptyMessage) {
+    const before = new Map(cards.filter((c) => !c.hidden).map((c) => [c, c.getBoundingClientRect()]));
+
+    cards.forEach((card) => (card.hidden = !matches(card)));
+
+    const shown = cards.filter((c) => !c.hidden);
+    if (shown.length) {
+      if (emptyEl) emptyEl.hidden = true;
+    } else {
+      showEmpty(emptyMessage);
+    }
+
+    if (reduceMotion || !Element.prototype.animate) return;
+    shown.forEach((card) => {
+      const prev = before.get(card);
+      if (!prev) {
+        card.animate(
+          [
+            { opacity: 0, transform: 'scale(0.92)' },
+            { opacity: 1, transform: 'scale(1)' },
+          ],
+          { duration: 320, easing: 'ease-out' }
+        );
+        return;
+      }
+      const next = card.getBoundingClientRect();
+      const dx = prev.left - next.left;
+      const dy = prev.top - next.top;
+      if (!dx && !dy) return;
+      card.animate([{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'none' }], {
+        duration: 360,
+        easing: 'cubic-bezier(.22,.8,.33,1)',
+      });
+    });
+  }
+}
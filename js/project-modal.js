@@ -0,0 +1,178 @@
+// === PROJECT DETAIL MODAL ===
+// accessible dialog with gallery, write-up and stack; shareable as #projects/<id>
+
+import { $, $$ } from './utils.js';
+
+export function initProjectModal(entries, { router }) {
+  const dialog = $('#projectModal');
+  if (!dialog || !entries.length) return;
+
+  const titleEl = $('#projectModalTitle', dialog);
+  const imageEl = $('.project-modal-image', dialog);
+  const thumbsEl = $('.project-modal-thumbs', dialog);
+  const writeupEl = $('.project-modal-writeup', dialog);
+  const stackEl = $('.project-modal-stack', dialog);
+  const linksEl = $('.project-modal-links', dialog);
+  const closeBtn = $('.project-modal-close', dialog);
+  const ROUTE = 'projects';
+
+  const byId = new Map(entries.map((e) => [e.project.id, e]));
+  let openEntry = null;
+  let returnFocusEl = null;
+
+  // open from the card's Details button or a click anywhere on the card
+  entries.forEach(({ project, card }) => {
+    const trigger = $('.project-details-btn', card);
+    card.addEventListener('click', (e) => {
+      // Live/Source links and the skills & tools toggle keep their own behaviour
+      if (e.target.closest('a, .project-related-btn')) return;
+      returnFocusEl = trigger || card;
+      router.go(ROUTE, { detail: project.id });
+    });
+  });
+
+  // show one screenshot and mark its thumbnail
+  function showImage(images, index) {
+    const image = images[index];
+    if (!image) return;
+    imageEl.src = image.src;
+    imageEl.alt = image.alt || '';
+    $$('button', thumbsEl).forEach((btn, i) => {
+      if (i === index) btn.setAttribute('aria-current', 'true');
+      else btn.removeAttribute('aria-current');
+    });
+  }
+
+  // fill the dialog for a project
+  function render({ project }) {
+    const images = project.images || [];
+    titleEl.textContent = project.title;
+
+    thumbsEl.textContent = '';
+    images.forEach((image, i) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.setAttribute('aria-label', `Show screenshot ${i + 1} of ${images.length}`);
+      const img = document.createElement('img');
+      img.src = image.src;
+      img.alt = '';
+      btn.appendChild(img);
+      btn.addEventListener('click', () => showImage(images, i));
+      thumbsEl.appendChild(btn);
+    });
+    thumbsEl.hidden = images.length < 2;
+    imageEl.hidden = !images.length;
+    showImage(images, 0);
+
+    writeupEl.textContent = '';
+    const paragraphs = [].concat(project.writeup || project.description || []);
+    paragraphs.forEach((text) => {
+      const p = document.createElement('p');
+      p.textContent = text;
+      writeupEl.appendChild(p);
+    });
+
+    stackEl.textContent = '';
+    (project.stack || project.tags || []).forEach((item) => {
+      const li = document.createElement('li');
+      li.textContent = item;
+      stackEl.appendChild(li);
+    });
+
+    linksEl.textContent = '';
+    const { live, source } = project.links || {};
+    [
+      [live, 'fas fa-external-link-alt', 'Live site'],
+      [source, 'fab fa-github', 'Source code'],
+    ].forEach(([href, icon, label]) => {
+      if (!href) return;
+      const a = document.createElement('a');
+      a.href = href;
+      a.target = '_blank';
+      a.rel = 'noopener';
+      a.innerHTML = `<i class="${icon}"></i> `;
+      a.appendChild(document.createTextNode(label));
+      linksEl.appendChild(a);
+    });
+  }
+
+  // focusable elements inside the dialog, in tab order
+  function focusables() {
+    return $$('a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])', dialog).filter(
+      (el) => !el.hidden && !el.closest('[hidden]')
+    );
+  }
+
+  function open(entry) {
+    if (openEntry === entry) return;
+    openEntry = entry;
+    render(entry);
+    if (!returnFocusEl) returnFocusEl = $('.project-details-btn', entry.card) || entry.card;
+    if (!dialog.open) {
+      if (dialog.showModal) dialog.showModal();
+      else dialog.setAttribute('open', '');
+    }
+    document.body.classList.add('modal-open');
+    closeBtn.focus();
+  }
+
+  // close the dialog and hand focus back to the card that opened it
+  function close() {
+    if (!openEntry) return;
+    openEntry = null;
+    if (dialog.open) {
+      if (dialog.close) dialog.close();
+      else dialog.removeAttribute('open');
+    }
+    document.body.classList.remove('modal-open');
+    if (returnFocusEl) returnFocusEl.focus();
+    returnFocusEl = null;
+    if (router.detail) router.go(ROUTE, { replace: true });
+  }
+
+  // trap Tab inside the dialog; Escape closes
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    const items = focusables();
+    if (!items.length) return;
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  });
+
+  // native Escape handling goes through close() so the URL stays in sync
+  dialog.addEventListener('cancel', (e) => {
+    e.preventDefault();
+    close();
+  });
+  closeBtn.addEventListener('click', close);
+
+  // clicks on the backdrop (the dialog element itself) close it
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) close();
+  });
+
+  // URL is the source of truth: #projects/<id> opens, anything else closes
+  function syncWithRoute(id, detail) {
+    const entry = id === ROUTE && detail ? byId.get(detail) : null;
+    if (entry) open(entry);
+    else {
+      if (id === ROUTE && detail) console.warn(`[projects] no project with id "${detail}".`);
+      close();
+    }
+  }
+
+  router.onChange(syncWithRoute);
+  if (router.detail) syncWithRoute(router.current, router.detail);
+}
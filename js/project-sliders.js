@@ -0,0 +1,192 @@
+// === PROJECT SLIDERS ===
+// accessible screenshot carousels: prev/next, dots, swipe; autoplay only while
+// visible and not hovered/focused, and never for reduced-motion users.
+// Screenshots load lazily, as AVIF / WebP <picture>s once the image manifest
+// is in
+
+import { $$, reduceMotion } from './utils.js';
+import { toPicture } from './responsive-images.js';
+
+// cards are at most 360px wide, 90% of the screen on phones
+const SCREENSHOT_SIZES = '(max-width: 600px) 90vw, 360px';
+
+// images: the image manifest (or a promise of it) from loadImageManifest()
+export function initProjectSliders({ images } = {}) {
+  const sliders = $$('.project-slider');
+  if (!sliders.length) return;
+
+  const INTERVAL = 2500;
+  const SWIPE_MIN = 40; // px of horizontal travel for a swipe
+
+  $$('.project-slider img').forEach((img) => (img.loading = 'lazy'));
+  if (images) {
+    Promise.resolve(images).then((manifest) => {
+      $$('.project-slider img').forEach((img) => toPicture(img, manifest, SCREENSHOT_SIZES));
+    });
+  }
+
+  const carousels = sliders.map(createCarousel).filter(Boolean);
+  if (!carousels.length) return;
+
+  // only on-screen sliders rotate
+  const vis = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        const c = carousels.find((x) => x.slider === entry.target);
+        if (c) c.setVisible(entry.isIntersecting);
+      });
+    },
+    { threshold: 0.25 }
+  );
+  carousels.forEach((c) => vis.observe(c.slider));
+
+  document.addEventListener('visibilitychange', () => carousels.forEach((c) => c.sync()));
+  window.addEventListener('pagehide', () => carousels.forEach((c) => c.stop()), { once: true });
+
+  function createCarousel(slider) {
+    const imgs = Array.from(slider.querySelectorAll('img'));
+    if (imgs.length <= 1) return null;
+
+    const title = slider.closest('.project-card')?.querySelector('h3')?.textContent.trim() || 'Project';
+    let index = Math.max(0, imgs.findIndex((img) => img.classList.contains('active')));
+    let timer = null;
+    let visible = false;
+    let hovered = false;
+    let focused = false;
+
+    slider.setAttribute('role', 'group');
+    slider.setAttribute('aria-roledescription', 'carousel');
+    slider.setAttribute('aria-label', `${title} screenshots`);
+
+    // live region: polite for the visitor's own changes, off again (and never
+    // updated) for autoplay steps
+    const live = document.createElement('span');
+    live.className = 'visually-hidden';
+    live.setAttribute('aria-live', 'off');
+    live.setAttribute('aria-atomic', 'true');
+
+    const prevBtn = controlButton('slider-btn prev', `Previous ${title} screenshot`, 'fa-chevron-left');
+    const nextBtn = controlButton('slider-btn next', `Next ${title} screenshot`, 'fa-chevron-right');
+
+    const dots = document.createElement('div');
+    dots.className = 'slider-dots';
+    const dotBtns = imgs.map((_, i) => {
+      const dot = document.createElement('button');
+      dot.type = 'button';
+      dot.setAttribute('aria-label', `Show ${title} screenshot ${i + 1}`);
+      dot.addEventListener('click', (e) => {
+        e.stopPropagation();
+        userGo(i);
+      });
+      dots.appendChild(dot);
+      return dot;
+    });
+
+    prevBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      userGo(index - 1);
+    });
+    nextBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      userGo(index + 1);
+    });
+    slider.append(prevBtn, nextBtn, dots, live);
+
+    function controlButton(className, label, icon) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = className;
+      btn.setAttribute('aria-label', label);
+      btn.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i>`;
+      return btn;
+    }
+
+    // show slide i (wrapping) and update dots/labels
+    function show(i, announce) {
+      index = (i + imgs.length) % imgs.length;
+      imgs.forEach((img, n) => {
+        img.classList.toggle('active', n === index);
+        img.setAttribute('aria-hidden', String(n !== index));
+      });
+      dotBtns.forEach((dot, n) => {
+        if (n === index) dot.setAttribute('aria-current', 'true');
+        else dot.removeAttribute('aria-current');
+      });
+      if (announce) live.textContent = `Screenshot ${index + 1} of ${imgs.length}`;
+    }
+
+    // visitor-driven change: announce politely and give the slide a full
+    // interval before autoplay moves on
+    function userGo(i) {
+      live.setAttribute('aria-live', 'polite');
+      show(i, true);
+      stop();
+      sync();
+    }
+
+    // autoplay step: silent, so screen readers are not interrupted every few seconds
+    function autoAdvance() {
+      live.setAttribute('aria-live', 'off');
+      show(index + 1, false);
+    }
+
+    function stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+
+    // run the autoplay timer only when nothing asks it to pause
+    function sync() {
+      const shouldRun = visible && !hovered && !focused && !document.hidden && !reduceMotion;
+      if (shouldRun && !timer) {
+        timer = setInterval(autoAdvance, INTERVAL);
+      } else if (!shouldRun && timer) {
+        stop();
+      }
+    }
+
+    slider.addEventListener('mouseenter', () => ((hovered = true), sync()));
+    slider.addEventListener('mouseleave', () => ((hovered = false), sync()));
+    slider.addEventListener('focusin', () => ((focused = true), sync()));
+    slider.addEventListener('focusout', (e) => {
+      if (slider.contains(e.relatedTarget)) return;
+      focused = false;
+      sync();
+    });
+
+    // horizontal swipe flips slides
+    let touchX = null;
+    let touchY = null;
+    slider.addEventListener(
+      'touchstart',
+      (e) => {
+        touchX = e.touches[0].clientX;
+        touchY = e.touches[0].clientY;
+      },
+      { passive: true }
+    );
+    slider.addEventListener(
+      'touchend',
+      (e) => {
+        if (touchX === null) return;
+        const dx = e.changedTouches[0].clientX - touchX;
+        const dy = e.changedTouches[0].clientY - touchY;
+        touchX = touchY = null;
+        if (Math.abs(dx) >= SWIPE_MIN && Math.abs(dx) > Math.abs(dy)) userGo(index + (dx < 0 ? 1 : -1));
+      },
+      { passive: true }
+    );
+
+    show(index, false);
+
+    return {
+      slider,
+      sync,
+      stop,
+      setVisible(v) {
+        visible = v;
+        sync();
+      },
+    };
+  }
+}
@@ -0,0 +1,186 @@
+// === PROJECTS GLOW LAYER + FLOATING WHEELS ===
+// glow follows mouse and floating wheels animate via RAF
+
+import { reduceMotion, debounce, throttle } from './utils.js';
+import { ticker, FRAME_MS } from './ticker.js';
+
+export function initProjectsLayer() {
+  const projectsSection = document.querySelector('.projects-section');
+  if (!projectsSection) return;
+
+  // create or select animation layer
+  let animLayer = projectsSection.querySelector('.projects-animation-layer');
+  if (!animLayer) {
+    animLayer = document.createElement('div');
+    animLayer.className = 'projects-animation-layer';
+    animLayer.style.position = 'absolute';
+    animLayer.style.top = '0';
+    animLayer.style.left = '0';
+    animLayer.style.width = '100%';
+    animLayer.style.height = '100%';
+    animLayer.style.zIndex = '0';
+    animLayer.style.pointerEvents = 'none';
+    projectsSection.prepend(animLayer);
+  }
+
+  // create glow element if missing
+  let glow = animLayer.querySelector('.projects-glow');
+  if (!glow) {
+    glow = document.createElement('div');
+    glow.className = 'projects-glow';
+    glow.style.position = 'absolute';
+    glow.style.width = '500px';
+    glow.style.height = '500px';
+    glow.style.borderRadius = '50%';
+    glow.style.pointerEvents = 'none';
+    glow.style.background = 'radial-gradient(circle, var(--color-glow), transparent 70%)';
+    glow.style.filter = 'blur(120px)';
+    glow.style.transition = 'transform 0.22s ease-out, opacity 0.22s ease';
+    glow.style.opacity = '0';
+    animLayer.appendChild(glow);
+  }
+
+  projectsSection.addEventListener('mouseenter', () => (glow.style.opacity = '1'), { passive: true });
+  projectsSection.addEventListener('mouseleave', () => (glow.style.opacity = '0'), { passive: true });
+
+  // glow follows mouse (throttled)
+  projectsSection.addEventListener(
+    'mousemove',
+    throttle((e) => {
+      const rect = projectsSection.getBoundingClientRect();
+      const x = e.clientX - rect.left - glow.offsetWidth / 2;
+      const y = e.clientY - rect.top - glow.offsetHeight / 2;
+      glow.style.transform = `translate(${Math.round(x)}px, ${Math.round(y)}px)`;
+    }, 16),
+    { passive: true }
+  );
+
+  // wheel SVG template
+  const wheelSVG = `
+    <svg xmlns="http://www.w3.org/2000/svg" width="80" height="80" viewBox="0 0 100 100" preserveAspectRatio="xMidYMid meet">
+      <circle cx="50" cy="50" r="48" fill="url(#tireGradient)" stroke="#111" stroke-width="2"/>
+      <circle cx="50" cy="50" r="28" fill="url(#rimGradient)" stroke="#999" stroke-width="1.5"/>
+      <circle cx="50" cy="50" r="8" fill="#666" stroke="#333" stroke-width="1.5"/>
+      <circle cx="50" cy="25" r="2.5" fill="#ccc"/>
+      <circle cx="75" cy="50" r="2.5" fill="#ccc"/>
+      <circle cx="50" cy="75" r="2.5" fill="#ccc"/>
+      <circle cx="25" cy="50" r="2.5" fill="#ccc"/>
+      <circle cx="65" cy="35" r="2.5" fill="#ccc"/>
+      <circle cx="35" cy="65" r="2.5" fill="#ccc"/>
+      <defs>
+        <radialGradient id="rimGradient" cx="50%" cy="50%" r="50%">
+          <stop offset="0%" stop-color="#bbb"/>
+          <stop offset="70%" stop-color="#888"/>
+          <stop offset="100%" stop-color="#444"/>
+        </radialGradient>
+        <radialGradient id="tireGradient" cx="50%" cy="50%" r="50%">
+          <stop offset="0%" stop-color="#333"/>
+          <stop offset="70%" stop-color="#111"/>
+          <stop offset="100%" stop-color="#000"/>
+        </radialGradient>
+      </defs>
+    </svg>
+  `.trim();
+
+  const WHEELS = 6; // at full quality; scaled by the ticker's measured quality
+  const wheels = [];
+  let stopTicking = null;
+
+  // create floating wheels
+  function initWheels() {
+    // cleanup prior wheels
+    animLayer.querySelectorAll('.floating-wheel').forEach((n) => n.remove());
+    wheels.length = 0;
+
+    const rect = projectsSection.getBoundingClientRect();
+    const wheelCount = Math.max(2, Math.round(WHEELS * ticker.quality));
+    for (let i = 0; i < wheelCount; i++) {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'floating-wheel';
+      wrapper.style.position = 'absolute';
+      wrapper.style.opacity = '0.28';
+      wrapper.style.zIndex = '0';
+      wrapper.style.pointerEvents = 'none';
+      wrapper.style.transformOrigin = 'center';
+      wrapper.style.left = '0';
+      wrapper.style.top = '0';
+      wrapper.innerHTML = wheelSVG;
+      animLayer.appendChild(wrapper);
+
+      const startX = Math.random() * Math.max(100, rect.width - 100);
+      const startY = Math.random() * Math.max(100, rect.height - 100);
+
+      wheels.push({
+        el: wrapper,
+        x: startX,
+        y: startY,
+        // px / degrees per 60 Hz frame
+        speedX: (Math.random() * 0.6 + 0.25) * (Math.random() < 0.5 ? 1 : -1),
+        speedY: (Math.random() * 0.4 + 0.15) * (Math.random() < 0.5 ? 1 : -1),
+        angle: Math.random() * 360,
+        rotateSpeed: 0.15 + Math.random() * 0.35,
+        scale: 0.6 + Math.random() * 0.8,
+      });
+    }
+  }
+
+  // per-frame step on the shared ticker
+  function animateWheels(dt) {
+    const k = dt / FRAME_MS;
+    const rect = projectsSection.getBoundingClientRect();
+    for (let i = 0; i < wheels.length; i++) {
+      const w = wheels[i];
+      w.x += w.speedX * k;
+      w.y += w.speedY * k;
+      w.angle += w.rotateSpeed * k;
+
+      // bounce/clamp inside bounds
+      if (w.x <= -80) w.speedX *= -1;
+      if (w.x >= rect.width - 20) w.speedX *= -1;
+      if (w.y <= -80) w.speedY *= -1;
+      if (w.y >= rect.height - 20) w.speedY *= -1;
+
+      w.el.style.transform = `translate(${Math.round(w.x)}px, ${Math.round(w.y)}px) rotate(${Math.round(
+        w.angle
+      )}deg) scale(${w.scale})`;
+    }
+  }
+
+  function startWheels() {
+    stopWheels();
+    initWheels();
+    animateWheels(0);
+    stopTicking = ticker.add(animateWheels);
+  }
+
+  function stopWheels() {
+    if (stopTicking) stopTicking();
+    stopTicking = null;
+  }
+
+  // run wheels only when visible
+  const vis = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting && !reduceMotion) startWheels();
+        else stopWheels();
+      });
+    },
+    { threshold: 0.01 }
+  );
+  vis.observe(projectsSection);
+
+  // fewer wheels once the ticker lowers quality
+  ticker.onQualityChange(() => {
+    if (stopTicking) startWheels();
+  });
+
+  // re-init on resize to keep within bounds
+  window.addEventListener(
+    'resize',
+    debounce(() => {
+      if (stopTicking) startWheels();
+    }, 180),
+    { passive: true }
+  );
+}
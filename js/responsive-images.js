@@ -0,0 +1,111 @@
+// === RESPONSIVE IMAGES ===
+// AVIF / WebP variants built by tools/build-images.js and listed in
+// images/manifest.json: <picture> sources for screenshots, and section
+// backgrounds ([data-bg]) that load as their section nears the viewport,
+// sized to it. Images missing from the manifest keep their original file
+
+import { $$, loadJSON } from './utils.js';
+
+export const IMAGE_MANIFEST = 'images/manifest.json';
+
+const EMPTY_MANIFEST = { formats: [], images: {} };
+
+// must match variantName() in tools/build-images.js
+export function variantPath(src, width, format) {
+  return `images/${src.replace(/\.\w+$/, '')}-${width}w.${format}`;
+}
+
+// resolves { formats, images: { src: { width, height, widths } } }; an empty
+// manifest when it cannot be loaded, so pages fall back to the originals
+export function loadImageManifest(src = IMAGE_MANIFEST) {
+  return loadJSON(src).catch((err) => {
+    console.warn(`[images] could not load ${src}, using the original files.`, err);
+    return EMPTY_MANIFEST;
+  });
+}
+
+// "images/a-360w.webp 360w, images/a-720w.webp 720w"
+export function srcsetFor(manifest, src, format) {
+  const entry = manifest.images && manifest.images[src];
+  if (!entry) return '';
+  return entry.widths.map((w) => `${variantPath(src, w, format)} ${w}w`).join(', ');
+}
+
+// smallest width covering `needed` device pixels, else the largest
+export function pickWidth(widths, needed) {
+  const sorted = [...widths].sort((a, b) => a - b);
+  return sorted.find((w) => w >= needed) || sorted[sorted.length - 1];
+}
+
+// wrap img in a <picture> with one <source> per format (best first); the img
+// keeps its original src as the fallback. Returns the picture (or the img
+// when there are no variants)
+export function toPicture(img, manifest, sizes) {
+  img.loading = 'lazy';
+  img.decoding = 'async';
+  const src = img.getAttribute('src');
+  const entry = manifest.images && manifest.images[src];
+  if (!entry || img.parentNode?.tagName === 'PICTURE') return img;
+
+  // intrinsic size so the browser can reserve the right box before loading
+  img.width = entry.width;
+  img.height = entry.height;
+
+  const picture = document.createElement('picture');
+  manifest.formats.forEach((format) => {
+    const source = document.createElement('source');
+    source.type = `image/${format}`;
+    source.srcset = srcsetFor(manifest, src, format);
+    source.sizes = sizes;
+    picture.appendChild(source);
+  });
+  img.replaceWith(picture);
+  picture.appendChild(img);
+  return picture;
+}
+
+// image-set() with type() lets the browser skip formats it cannot decode
+function supportsTypedImageSet() {
+  return (
+    typeof CSS !== 'undefined' &&
+    typeof CSS.supports === 'function' &&
+    CSS.supports('background-image', 'image-set(url("x.avif") type("image/avif"))')
+  );
+}
+
+// CSS value for el's background: the variant closest to its rendered width
+export function backgroundFor(el, manifest) {
+  const src = el.dataset.bg;
+  const entry = manifest.images && manifest.images[src];
+  if (!entry || !manifest.formats.length) return `url("${src}")`;
+
+  const width = pickWidth(entry.widths, el.clientWidth * (window.devicePixelRatio || 1));
+  if (!supportsTypedImageSet()) {
+    // browsers without type() still read WebP
+    return manifest.formats.includes('webp') ? `url("${variantPath(src, width, 'webp')}")` : `url("${src}")`;
+  }
+  const sets = manifest.formats.map((format) => `url("${variantPath(src, width, format)}") type("image/${format}")`);
+  return `image-set(${sets.join(', ')}, url("${src}"))`;
+}
+
+// images: the manifest or a promise of it. Backgrounds land in --section-bg,
+// which the sections' CSS uses
+export function initLazyBackgrounds({ images = loadImageManifest() } = {}) {
+  const sections = $$('[data-bg]');
+  if (!sections.length) return;
+
+  // start about a screen ahead so the image is usually there on arrival
+  const observer = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+        observer.unobserve(entry.target);
+        Promise.resolve(images).then((manifest) => {
+          entry.target.style.setProperty('--section-bg', backgroundFor(entry.target, manifest || EMPTY_MANIFEST));
+        });
+      });
+    },
+    { rootMargin: '100% 0px' }
+  );
+  sections.forEach((el) => observer.observe(el));
+}
@@ -0,0 +1,165 @@
+// === SCROLL REVEAL ===
+// entrance animations for blocks as they scroll into view, all on one shared
+// IntersectionObserver. Markup (or the matching observe() options):
+//   data-reveal="fade|slide|road-drive"  preset; empty leaves the look to the
+//                                        element's own CSS for .is-revealed
+//   data-reveal-stagger="ms"             reveal the items one after another
+//   data-reveal-delay="ms"               wait before the first item; on an
+//                                        item, its own start time instead
+//   data-reveal-replay                   hide again off screen and replay on
+//                                        return (default: reveal once)
+//   data-reveal-threshold="0..1"         visible share that triggers it (0.25)
+// Items are the [data-reveal-item] descendants, else the children of a
+// staggered block, else the block itself. Items carry .reveal-item until
+// their entrance ends and .is-revealed once shown; reduced-motion users get
+// everything at once.
+
+import { $$, reduceMotion } from './utils.js';
+
+export const REVEAL_PRESETS = ['fade', 'slide', 'road-drive'];
+
+// ratios the shared observer reports at; a block's threshold is met at the
+// first of these at or above it
+const THRESHOLDS = [0, 0.1, 0.25, 0.4, 0.6];
+
+const toNumber = (value, fallback) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export function createRevealer() {
+  const blocks = new Map(); // element -> block state
+  let observer = null;
+
+  // created on first use so pages without reveal blocks never observe
+  function getObserver() {
+    if (!observer) observer = new IntersectionObserver(onEntries, { threshold: THRESHOLDS });
+    return observer;
+  }
+
+  function onEntries(entries) {
+    entries.forEach((entry) => {
+      const block = blocks.get(entry.target);
+      if (!block) return;
+      if (entry.isIntersecting && visibleEnough(entry, block.threshold)) show(entry.target, block);
+      else if (!entry.isIntersecting && block.replay) hide(entry.target, block);
+    });
+  }
+
+  // blocks taller than the viewport never reach a high ratio; count them as
+  // visible once they fill half the screen
+  function visibleEnough(entry, threshold) {
+    if (entry.intersectionRatio >= threshold) return true;
+    const { intersectionRect, rootBounds } = entry;
+    return !!(intersectionRect && rootBounds && intersectionRect.height >= rootBounds.height * 0.5);
+  }
+
+  function itemsOf(el, block) {
+    if (block.items) return typeof block.items === 'function' ? block.items() : Array.from(block.items);
+    const marked = $$('[data-reveal-item]', el);
+    if (marked.length) return marked;
+    return block.stagger ? Array.from(el.children) : [el];
+  }
+
+  // hide items up front so they do not flash before their entrance
+  function prepare(el, block) {
+    itemsOf(el, block).forEach((item) => item.classList.add('reveal-item'));
+  }
+
+  function show(el, block) {
+    if (block.shown) return;
+    block.shown = true;
+    if (!block.replay) {
+      getObserver().unobserve(el);
+      blocks.delete(el);
+    }
+
+    // items with their own data-reveal-delay keep it; the rest are staggered
+    let n = 0;
+    itemsOf(el, block).forEach((item) => {
+      item.classList.add('reveal-item');
+      const own = item !== el ? item.dataset.revealDelay : undefined;
+      const at = own !== undefined ? toNumber(own, 0) : block.delay + n++ * block.stagger;
+      if (reduceMotion) reveal(item);
+      else block.timers.push(setTimeout(() => reveal(item), at));
+    });
+    if (block.onReveal) block.onReveal(el);
+  }
+
+  // once its entrance has played the item drops .reveal-item, so the preset's
+  // transition no longer slows its own hover effects
+  function reveal(item) {
+    item.classList.add('is-revealed');
+    const settle = (e) => {
+      if (e.target !== item) return;
+      item.removeEventListener('transitionend', settle);
+      if (item.classList.contains('is-revealed')) item.classList.remove('reveal-item');
+    };
+    item.addEventListener('transitionend', settle);
+  }
+
+  function hide(el, block) {
+    if (!block.shown) return;
+    block.shown = false;
+    block.timers.forEach(clearTimeout);
+    block.timers = [];
+    itemsOf(el, block).forEach((item) => {
+      item.classList.remove('is-revealed');
+      item.classList.add('reveal-item');
+    });
+    if (block.onHide) block.onHide(el);
+  }
+
+  return {
+    // start watching el; options override its data-reveal-* attributes and
+    // add items (array or function), onReveal(el) and onHide(el)
+    observe(el, options = {}) {
+      if (!el || blocks.has(el)) return;
+      const data = el.dataset;
+      let preset = options.preset !== undefined ? options.preset : data.reveal || '';
+      if (preset && !REVEAL_PRESETS.includes(preset)) {
+        console.warn(`[reveal] unknown preset "${preset}", falling back to the element's own styles.`);
+        preset = '';
+      }
+      if (preset) data.reveal = preset;
+
+      const block = {
+        stagger: toNumber(options.stagger !== undefined ? options.stagger : data.revealStagger, 0),
+        delay: toNumber(options.delay !== undefined ? options.delay : data.revealDelay, 0),
+        replay: options.replay !== undefined ? !!options.replay : 'revealReplay' in data,
+        threshold: toNumber(options.threshold !== undefined ? options.threshold : data.revealThreshold, 0.25),
+        items: options.items,
+        onReveal: options.onReveal,
+        onHide: options.onHide,
+        timers: [],
+        shown: false,
+      };
+      blocks.set(el, block);
+      prepare(el, block);
+      getObserver().observe(el);
+    },
+    // hide items rendered into el after observe() (cards loaded from JSON)
+    // until its entrance; no-op once it has been revealed
+    refresh(el) {
+      const block = blocks.get(el);
+      if (block && !block.shown) prepare(el, block);
+    },
+    // stop watching el and show whatever it was hiding
+    unobserve(el) {
+      const block = blocks.get(el);
+      if (!block) return;
+      blocks.delete(el);
+      if (observer) observer.unobserve(el);
+      block.timers.forEach(clearTimeout);
+      itemsOf(el, block).forEach((item) => {
+        item.classList.add('is-revealed');
+        item.classList.remove('reveal-item');
+      });
+    },
+  };
+}
+
+// wire every [data-reveal] block in the page to the shared revealer
+export function initRevealModule({ reveal }) {
+  $$('[data-reveal]').forEach((el) => reveal.observe(el));
+}
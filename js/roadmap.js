@@ -0,0 +1,452 @@
+// === ROADMAP MODULE ===
+// handles car movement, pin typing descriptions, and keyboard nav
+
+import { raf, $, $$, reduceMotion, debounce, loadJSON } from './utils.js';
+import { createTypewriter } from './typewriter.js';
+
+export function initRoadmapModule({ router }) {
+  const roadEl = $('#road');
+  const carEl = $('#roadCar');
+  const descWrapperEl = $('#descriptionBox');
+  const descTextEl = $('#descText');
+  const pinListEl = $('#roadPins') || roadEl;
+
+  if (!roadEl || !carEl || !descWrapperEl || !descTextEl) return Promise.resolve([]);
+
+  // description box is the panel for whichever pin (tab) is selected
+  descWrapperEl.setAttribute('role', 'tabpanel');
+  descWrapperEl.setAttribute('tabindex', '0');
+
+  // typed descriptions; the typewriter announces finished text to screen readers
+  const typer = createTypewriter(descTextEl, { speed: 30 });
+
+  // pin content keyed by generated pin element
+  const pinContent = new WeakMap();
+
+  // resolves the rendered pins once they are wired
+  return loadPinContent().then((entries) => {
+    const pinEls = renderPins(entries);
+    if (pinEls.length) wirePins(pinEls);
+    return pinEls;
+  });
+
+  // read pin content from a markup pin's data-* attributes
+  function pinDataFromAttributes(pin) {
+    const d = pin.dataset;
+    return {
+      id: d.pin,
+      label: (pin.querySelector('.label')?.textContent || '').trim(),
+      color: pin.style.getPropertyValue('--pin-color').trim() || undefined,
+      text: d.desc,
+      link: d.linkText ? { text: d.linkText, href: d.linkHref } : undefined,
+    };
+  }
+
+  // pin content from the JSON file in #road[data-content], falling back to markup pins
+  function loadPinContent() {
+    const src = roadEl.dataset.content;
+    const fromMarkup = () => $$('.pin', roadEl).map(pinDataFromAttributes);
+    if (!src) return Promise.resolve(fromMarkup());
+
+    return loadJSON(src)
+      .then((json) => (Array.isArray(json) ? json : json.pins || []))
+      .catch((err) => {
+        console.warn(`[roadmap] could not load ${src}, using markup pins.`, err);
+        return fromMarkup();
+      });
+  }
+
+  // build pin buttons along the road, warning on entries without content
+  function renderPins(entries) {
+    $$('.pin', roadEl).forEach((n) => n.remove());
+
+    const valid = entries.filter((entry) => {
+      if (entry && entry.label) return true;
+      console.warn('[roadmap] skipping pin without a label:', entry);
+      return false;
+    });
+
+    return valid.map((entry, idx) => {
+      const pin = document.createElement('button');
+      pin.type = 'button';
+      pin.className = 'pin';
+      pin.dataset.pin = entry.id || entry.label.toLowerCase();
+      pin.id = `roadmap-pin-${pin.dataset.pin}`;
+      pin.setAttribute('role', 'tab');
+      pin.setAttribute('aria-controls', descWrapperEl.id);
+      pin.style.setProperty('--i', idx + 1);
+      pin.style.setProperty('--count', Math.max(2, valid.length));
+      if (entry.color) pin.style.setProperty('--pin-color', entry.color);
+      pin.innerHTML = '<div class="teardrop"></div><span class="label"></span>';
+      pin.querySelector('.label').textContent = entry.label;
+
+      if (entry.text) pinContent.set(pin, entry);
+      else console.warn(`[roadmap] pin "${entry.label}" has no description content.`);
+
+      const href = entry.link && entry.link.href;
+      if (href && href.charAt(0) === '#' && !document.getElementById(href.slice(1))) {
+        console.warn(`[roadmap] pin "${entry.label}" links to missing section ${href}.`);
+      }
+
+      pinListEl.appendChild(pin);
+      return pin;
+    });
+  }
+
+  // center of pin relative to road element
+  function centerOfPin(pin) {
+    const pinRect = pin.getBoundingClientRect();
+    const roadRect = roadEl.getBoundingClientRect();
+    return pinRect.left - roadRect.left + pinRect.width / 2;
+  }
+
+  // car motion controller: interruptible drives along the road with optional stops
+  function createCarMotion() {
+    const EASING = 'cubic-bezier(.22,.8,.33,1)';
+    const STOP_PAUSE = 280; // ms bounce at each intermediate pin
+    let runId = 0; // bumped by every new drive so stale legs bail out
+    let cancelPending = null;
+
+    // translateX that centres the car on x, clamped to the road
+    function offsetFor(centerX) {
+      const carWidth = carEl.getBoundingClientRect().width;
+      const maxX = Math.max(0, roadEl.clientWidth - carWidth);
+      return Math.max(0, Math.min(centerX - carWidth / 2, maxX));
+    }
+
+    // live translateX, including mid-transition
+    function offset() {
+      const t = getComputedStyle(carEl).transform;
+      if (t && t !== 'none' && typeof DOMMatrixReadOnly === 'function') return new DOMMatrixReadOnly(t).m41;
+      const m = /translateX\((-?[\d.]+)px\)/.exec(carEl.style.transform);
+      return m ? Number(m[1]) : 0;
+    }
+
+    function setOffset(x, duration) {
+      carEl.style.transition = duration ? `transform ${duration}ms ${EASING}` : 'none';
+      carEl.style.transform = `translateX(${Math.round(x)}px)`;
+    }
+
+    // settle any pending leg/stop as not arrived and invalidate the current run
+    function interrupt() {
+      runId++;
+      if (cancelPending) cancelPending();
+    }
+
+    // wait for a transition (or timeout); resolves true unless interrupted
+    function waitFor(ms, { transition = false, onDone } = {}) {
+      return new Promise((resolve) => {
+        const finish = (arrived) => {
+          clearTimeout(timer);
+          carEl.removeEventListener('transitionend', onEnd);
+          cancelPending = null;
+          if (onDone) onDone();
+          resolve(arrived);
+        };
+        const onEnd = (e) => {
+          if (e.target === carEl && e.propertyName === 'transform') finish(true);
+        };
+        if (transition) carEl.addEventListener('transitionend', onEnd);
+        // timeout also covers legs that need no movement (no transitionend fires)
+        const timer = setTimeout(() => finish(true), ms);
+        cancelPending = () => finish(false);
+      });
+    }
+
+    // drive through each stop (road x centres) in order, retargeting from the
+    // car's current position; resolves true on arrival, false if superseded
+    async function drive(stops) {
+      interrupt();
+      const id = runId;
+      if (!stops.length) return true;
+
+      if (reduceMotion) {
+        setOffset(offsetFor(stops[stops.length - 1]), 0);
+        return true;
+      }
+
+      // freeze mid-flight position before the new transition starts
+      let x = offset();
+      setOffset(x, 0);
+      carEl.getBoundingClientRect();
+
+      for (let i = 0; i < stops.length; i++) {
+        const target = offsetFor(stops[i]);
+        const duration = Math.round(Math.min(1000, Math.max(300, Math.abs(target - x) * 1.6)));
+        setOffset(target, duration);
+        if (!(await waitFor(duration + 60, { transition: true })) || id !== runId) return false;
+        x = target;
+
+        if (i < stops.length - 1) {
+          carEl.classList.add('stop-bounce');
+          const done = () => carEl.classList.remove('stop-bounce');
+          if (!(await waitFor(STOP_PAUSE, { onDone: done })) || id !== runId) return false;
+        }
+      }
+      return true;
+    }
+
+    // jump straight to a road x centre, cancelling any drive
+    function place(centerX) {
+      interrupt();
+      setOffset(offsetFor(centerX), 0);
+    }
+
+    return { drive, place, offset, offsetFor };
+  }
+
+  // car motion, typing and keyboard wiring for the rendered pins
+  function wirePins(pinEls) {
+    let activePin = pinEls[0];
+    let showTimer = null; // pending .show for the description box
+    const motion = createCarMotion();
+
+    activePin.classList.add('active');
+
+    // road centres from the car's current position to pin, stopping at pins in between
+    function pathTo(pin) {
+      const from = motion.offset();
+      const to = motion.offsetFor(centerOfPin(pin));
+      const via = pinEls
+        .filter((p) => p !== pin)
+        .map(centerOfPin)
+        .filter((c) => {
+          const x = motion.offsetFor(c);
+          return Math.abs(x - from) > 4 && Math.abs(x - to) > 4 && (x - from) * (x - to) < 0;
+        })
+        .sort((a, b) => Math.abs(a - from) - Math.abs(b - from));
+      return [...via, centerOfPin(pin)];
+    }
+
+    // drive to pin (retargeting mid-flight); resolves true when the car arrives
+    function moveCarTo(pin) {
+      return motion.drive(pathTo(pin));
+    }
+
+    // build the trailing link for a description (external targets open a new tab)
+    function createDescriptionLink(link) {
+      const a = document.createElement('a');
+      a.href = link.href;
+      a.textContent = ' ' + link.text;
+      a.style.marginLeft = '8px';
+      a.style.textDecoration = 'underline';
+      // in-page targets are routed by the delegated router click handler
+      if (link.href.charAt(0) !== '#') {
+        a.target = '_blank';
+        a.rel = 'noopener';
+      }
+      return a;
+    }
+
+    // stop typing and hide the description box
+    function hideDescription() {
+      typer.cancel();
+      clearTimeout(showTimer);
+      descTextEl.textContent = '';
+      descWrapperEl.classList.remove('show');
+    }
+
+    // show description with left-to-right typing and link
+    function showDescriptionForPin(pin) {
+      const data = pinContent.get(pin);
+      if (!data) return;
+
+      hideDescription();
+
+      // ensure LTR layout for typing
+      descTextEl.style.direction = 'ltr';
+      descTextEl.style.textAlign = 'left';
+      descTextEl.style.unicodeBidi = 'plaintext';
+
+      // small delay for CSS transition
+      showTimer = setTimeout(() => descWrapperEl.classList.add('show'), 10);
+
+      // description text followed by its link, typed as one rich fragment
+      const content = document.createDocumentFragment();
+      content.appendChild(document.createTextNode(data.text));
+      if (data.link && data.link.href && data.link.text) {
+        content.appendChild(createDescriptionLink(data.link));
+      }
+      typer.type(content);
+    }
+
+    // make a pin active, drive the car there and type its description on arrival
+    function selectPin(pin, { moveCar = true } = {}) {
+      if (!pin || activePin === pin) return;
+      activePin.classList.remove('active');
+      pin.classList.add('active');
+      activePin = pin;
+      syncTabState();
+
+      if (!moveCar) {
+        // the docked strip has no description box; it types again on undocking
+        if (roadEl.classList.contains('is-docked')) hideDescription();
+        else showDescriptionForPin(pin);
+        return;
+      }
+      hideDescription();
+      moveCarTo(pin).then((arrived) => {
+        if (arrived && activePin === pin) showDescriptionForPin(pin);
+      });
+    }
+
+    // one roving tab stop on the active pin; panel labelled by it
+    function syncTabState() {
+      pinEls.forEach((pin) => {
+        const selected = pin === activePin;
+        pin.setAttribute('aria-selected', String(selected));
+        pin.tabIndex = selected ? 0 : -1;
+      });
+      descWrapperEl.setAttribute('aria-labelledby', activePin.id);
+    }
+
+    // Left/Right (wrapping), Home/End move focus and selection between pins
+    function onPinKeyDown(e) {
+      const pin = e.currentTarget;
+      const i = pinEls.indexOf(pin);
+      let target;
+      switch (e.key) {
+        case 'ArrowRight':
+          target = pinEls[(i + 1) % pinEls.length];
+          break;
+        case 'ArrowLeft':
+          target = pinEls[(i - 1 + pinEls.length) % pinEls.length];
+          break;
+        case 'Home':
+          target = pinEls[0];
+          break;
+        case 'End':
+          target = pinEls[pinEls.length - 1];
+          break;
+        case 'Enter':
+        case ' ':
+          e.preventDefault();
+          pin.click();
+          return;
+        default:
+          return;
+      }
+      e.preventDefault();
+      target.focus();
+      selectPin(target);
+    }
+
+    // pin matching a routed section id
+    function pinForSection(id) {
+      return pinEls.find((pin) => pin.dataset.pin === id) || null;
+    }
+
+    // wire pins with click and keyboard support
+    pinEls.forEach((pin) => {
+      pin.addEventListener('click', () => selectPin(pin));
+      pin.addEventListener('keydown', onPinKeyDown);
+    });
+
+    // place car centered on active pin without transition
+    function initCarPosition() {
+      motion.place(centerOfPin(activePin));
+    }
+
+    // start on the pin for the section restored from the URL
+    const routedPin = pinForSection(router.current);
+    if (routedPin) {
+      activePin.classList.remove('active');
+      routedPin.classList.add('active');
+      activePin = routedPin;
+    }
+    syncTabState();
+
+    // scroll-follow mode (#road[data-follow="scroll"]): the car tracks reading
+    // progress through the pinned sections and the nearest pin becomes active.
+    // While one of them is on screen the road docks to the bottom of the
+    // viewport as a compact strip (.is-docked) so the progress stays visible;
+    // html.road-docked reserves room for it below the page
+    function initScrollFollow() {
+      const tracked = pinEls
+        .map((pin) => ({ pin, section: document.getElementById(pin.dataset.pin) }))
+        .filter((t) => t.section);
+      if (tracked.length < 2) return null;
+
+      // fractional pin index for the viewport midline, null outside the tracked sections
+      function progress() {
+        const mid = window.innerHeight / 2;
+        const tops = tracked.map((t) => t.section.getBoundingClientRect().top);
+        const last = tracked.length - 1;
+        if (mid < tops[0] || mid > tracked[last].section.getBoundingClientRect().bottom) return null;
+
+        let i = last;
+        while (i > 0 && mid < tops[i]) i--;
+        if (i === last) return last;
+        return i + Math.min(1, (mid - tops[i]) / Math.max(1, tops[i + 1] - tops[i]));
+      }
+
+      // place the car between pins and activate the nearest one
+      function update() {
+        const p = progress();
+        const wasDocked = roadEl.classList.contains('is-docked');
+        roadEl.classList.toggle('is-docked', p !== null);
+        document.documentElement.classList.toggle('road-docked', p !== null);
+        if (p === null) {
+          // back in the roadmap section: the road is wider again
+          if (wasDocked) {
+            initCarPosition();
+            showDescriptionForPin(activePin);
+          }
+          return;
+        }
+        if (!wasDocked) hideDescription();
+        const i = Math.floor(p);
+        const from = centerOfPin(tracked[i].pin);
+        const to = tracked[i + 1] ? centerOfPin(tracked[i + 1].pin) : from;
+        motion.place(from + (to - from) * (p - i));
+
+        selectPin(tracked[Math.round(p)].pin, { moveCar: false });
+      }
+
+      let ticking = false;
+      const schedule = () => {
+        if (ticking) return;
+        ticking = true;
+        raf(() => {
+          ticking = false;
+          update();
+        });
+      };
+      window.addEventListener('scroll', schedule, { passive: true });
+      return schedule;
+    }
+
+    initCarPosition();
+    showDescriptionForPin(activePin);
+
+    const followScroll = roadEl.dataset.follow === 'scroll' ? initScrollFollow() : null;
+    if (followScroll) followScroll();
+
+    // keep the car on the pin for the routed section (on popstate too); in
+    // scroll-follow mode the scroll that follows places the car
+    router.onChange((id) => {
+      if (!followScroll) {
+        selectPin(pinForSection(id));
+        return;
+      }
+      selectPin(pinForSection(id), { moveCar: false });
+      followScroll();
+    });
+
+    // recenter on resize (debounced)
+    window.addEventListener(
+      'resize',
+      debounce(() => {
+        initCarPosition();
+        if (followScroll) followScroll();
+      }, 120),
+      { passive: true }
+    );
+
+    // click the box to skip to the end of the typing
+    descWrapperEl.addEventListener('click', () => typer.skip());
+
+    // cleanup typing on pagehide
+    window.addEventListener('pagehide', () => typer.cancel());
+  }
+}
@@ -0,0 +1,108 @@
+// === SECTION ROUTER ===
+// keeps the active section (and an optional detail, e.g. #projects/fitness)
+// in location.hash and browser history
+
+import { reduceMotion } from './utils.js';
+
+export function createSectionRouter() {
+  const listeners = [];
+  let current = null;
+  let currentDetail = null;
+  let started = false;
+
+  // { id, detail } from a hash like '#section/detail'
+  function parseHash(hash) {
+    let raw = '';
+    try {
+      raw = decodeURIComponent(hash.replace(/^#/, ''));
+    } catch (err) {
+      return { id: '', detail: null };
+    }
+    const slash = raw.indexOf('/');
+    if (slash === -1) return { id: raw, detail: null };
+    return { id: raw.slice(0, slash), detail: raw.slice(slash + 1) || null };
+  }
+
+  function hashFor(id, detail) {
+    return `#${encodeURIComponent(id)}${detail ? '/' + encodeURIComponent(detail) : ''}`;
+  }
+
+  // scroll a section into view and notify subscribers
+  function activate(id, detail, smooth) {
+    const el = id ? document.getElementById(id) : null;
+    if (!el) return false;
+    const detailOnly = id === current && detail !== currentDetail;
+    current = id;
+    currentDetail = detail;
+    if (!detailOnly) el.scrollIntoView({ behavior: smooth && !reduceMotion ? 'smooth' : 'auto' });
+    listeners.forEach((fn) => fn(id, detail));
+    return true;
+  }
+
+  // navigate to a section, adding a history entry unless replace is set
+  function go(id, { detail = null, replace = false } = {}) {
+    if (!document.getElementById(id)) return false;
+    const hash = hashFor(id, detail);
+    if (hash !== location.hash) {
+      const method = replace ? 'replaceState' : 'pushState';
+      history[method]({ section: id, detail }, '', hash);
+    }
+    return activate(id, detail, true);
+  }
+
+  // subscribe to section changes; returns an unsubscribe function
+  function onChange(fn) {
+    listeners.push(fn);
+    return () => {
+      const i = listeners.indexOf(fn);
+      if (i !== -1) listeners.splice(i, 1);
+    };
+  }
+
+  // follow history navigation (back/forward and manual hash edits)
+  function syncFromLocation() {
+    const route = parseHash(location.hash);
+    const id = route.id || defaultId();
+    if (id && (id !== current || route.detail !== currentDetail)) activate(id, route.detail, true);
+  }
+
+  // section shown when the hash is empty
+  function defaultId() {
+    const first = document.querySelector('[data-route-default]');
+    return first ? first.id : '';
+  }
+
+  // restore the section from the URL and start listening
+  function start() {
+    if (started) return;
+    started = true;
+    if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+
+    const route = parseHash(location.hash);
+    if (!route.id || !activate(route.id, route.detail, false)) current = defaultId() || null;
+
+    window.addEventListener('popstate', syncFromLocation);
+    window.addEventListener('hashchange', syncFromLocation);
+
+    // route in-page anchors through history instead of native jumps
+    document.addEventListener('click', (e) => {
+      if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey) return;
+      const a = e.target.closest && e.target.closest('a[href^="#"]');
+      if (!a) return;
+      const route = parseHash(a.getAttribute('href'));
+      if (route.id && go(route.id, { detail: route.detail })) e.preventDefault();
+    });
+  }
+
+  return {
+    go,
+    onChange,
+    start,
+    get current() {
+      return current;
+    },
+    get detail() {
+      return currentDetail;
+    },
+  };
+}
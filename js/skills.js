@@ -0,0 +1,371 @@
+// === SKILLS MODULE ===
+// renders skills.json as one bracketed row per category, reveals them (on
+// reveal.js), shows the chosen skill's details and runs the sparkle canvas
+
+import { $, $$, reduceMotion, debounce, loadJSON } from './utils.js';
+import { createRevealer } from './reveal.js';
+import { createTypewriter } from './typewriter.js';
+import { themeColor } from './theme.js';
+import { ticker, FRAME_MS } from './ticker.js';
+
+// proficiency names for levels 1..n when skills.json has no "levels"
+const DEFAULT_LEVELS = ['Beginner', 'Familiar', 'Comfortable', 'Proficient', 'Expert'];
+
+// projects: catalog entries ([{ project }]) or a promise of them, used to
+// title the "Used in" links; tagIndex: shared tag index the chosen skill is
+// selected in. Resolves the rendered skills
+export function initSkillsModule({ theme, reveal = createRevealer(), projects = [], tagIndex } = {}) {
+  const skillsSection = $('#skills');
+  if (!skillsSection) return Promise.resolve([]);
+
+  const groupsEl = $('#skillGroups', skillsSection);
+  const emptyEl = $('#skillsEmpty', skillsSection);
+  const detailEl = $('#skillDetail', skillsSection);
+  const skillDescBox = $('#skillDescription');
+  const canvas = $('#sparkleCanvas');
+  let skillItems = [];
+
+  // sparkles are decoration only; reveal and typing work without canvas support
+  const ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+  if (ctx) initSparkles(canvas, ctx, skillsSection, theme);
+
+  // typed skill descriptions
+  const skillTyper = skillDescBox ? createTypewriter(skillDescBox, { speed: 40 }) : null;
+
+  // each row's brackets open (their own data-reveal-delay), then the skills
+  // follow one by one; replays each time the section comes back into view
+  reveal.observe(skillsSection, {
+    items: () => $$('.bracket, .skill', skillsSection),
+    delay: 1000,
+    stagger: 200,
+    replay: true,
+    threshold: 0.4,
+    onHide: clearSelection,
+  });
+
+  // cleanup on pagehide
+  window.addEventListener('pagehide', () => {
+    if (skillTyper) skillTyper.cancel();
+  });
+
+  const src = groupsEl && groupsEl.dataset.content;
+  if (!src) return Promise.resolve([]);
+
+  return Promise.all([loadJSON(src), Promise.resolve(projects).catch(() => [])])
+    .then(([json, entries]) => {
+      const levels = json.levels || DEFAULT_LEVELS;
+      const categories = json.categories || [];
+      const skills = (json.skills || []).filter((skill) => {
+        if (skill && skill.name) return true;
+        console.warn('[skills] skipping skill without a name:', skill);
+        return false;
+      });
+      const projectTitles = new Map(entries.map((e) => [(e.project || e).id, (e.project || e).title]));
+
+      groupsEl.textContent = '';
+      groupSkills(skills, categories).forEach((group, g) => groupsEl.appendChild(renderGroup(group, g)));
+      skillItems = $$('.skill', groupsEl);
+      skillItems.forEach((el) => wireSkill(el, skills[Number(el.dataset.index)], { levels, categories, projectTitles }));
+      if (tagIndex) linkTags(skills);
+      reveal.refresh(skillsSection);
+      return skills;
+    })
+    .catch((err) => {
+      console.warn(`[skills] could not load ${src}.`, err);
+      if (emptyEl) {
+        emptyEl.textContent = 'Skills could not be loaded right now.';
+        emptyEl.hidden = false;
+      }
+      return [];
+    });
+
+  // skills bucketed by category: listed categories first (in their order),
+  // then any others in first-seen order
+  function groupSkills(skills, categories) {
+    const groups = categories.map((c) => ({ id: c.id, label: c.label || c.id, skills: [] }));
+    skills.forEach((skill, index) => {
+      const id = skill.category || 'other';
+      let group = groups.find((g) => g.id === id);
+      if (!group) groups.push((group = { id, label: id.charAt(0).toUpperCase() + id.slice(1), skills: [] }));
+      group.skills.push({ skill, index });
+    });
+    return groups.filter((g) => g.skills.length);
+  }
+
+  // { label } heading over a bracketed row; later rows' brackets open later
+  function renderGroup(group, g) {
+    const wrap = document.createElement('div');
+    wrap.className = 'skill-group';
+    wrap.dataset.category = group.id;
+    wrap.setAttribute('role', 'group');
+
+    const label = document.createElement('h2');
+    label.className = 'skill-group-label';
+    label.id = `skill-group-${group.id}`;
+    label.textContent = group.label;
+    wrap.setAttribute('aria-labelledby', label.id);
+
+    const row = document.createElement('div');
+    row.className = 'bracket-container';
+    const left = renderBracket('left', '{', 100 + g * 250);
+    const right = renderBracket('right', '}', 400 + g * 250);
+    const list = document.createElement('div');
+    list.className = 'skills-container';
+    group.skills.forEach(({ skill, index }) => list.appendChild(renderSkill(skill, index)));
+    row.append(left, list, right);
+
+    wrap.append(label, row);
+    return wrap;
+  }
+
+  function renderBracket(side, char, delay) {
+    const span = document.createElement('span');
+    span.className = `bracket ${side}`;
+    span.setAttribute('aria-hidden', 'true');
+    span.dataset.revealDelay = String(delay);
+    span.textContent = char;
+    return span;
+  }
+
+  function renderSkill(skill, index) {
+    const el = document.createElement('div');
+    el.className = 'skill';
+    el.dataset.skill = skill.id || skill.name.toLowerCase().replace(/\s+/g, '-');
+    el.dataset.index = String(index);
+    el.setAttribute('role', 'button');
+    el.setAttribute('tabindex', '0');
+    el.setAttribute('aria-pressed', 'false');
+    if (detailEl) el.setAttribute('aria-controls', detailEl.id);
+    const icon = document.createElement('i');
+    icon.className = skill.icon || 'fas fa-code';
+    icon.setAttribute('aria-hidden', 'true');
+    const name = document.createElement('p');
+    name.textContent = skill.name;
+    el.append(icon, name);
+    return el;
+  }
+
+  // register skills by id plus any extra "tags"; choosing a project or tool
+  // elsewhere lets go of the centred skill
+  function linkTags(skills) {
+    skillItems.forEach((el) => {
+      const skill = skills[Number(el.dataset.index)];
+      tagIndex.add('skill', el.dataset.skill, el, skill.tags || [], skill.name);
+    });
+    tagIndex.onChange((selection) => {
+      const centred = skillItems.find((s) => s.classList.contains('center'));
+      if (centred && !(selection && selection.kind === 'skill' && selection.id === centred.dataset.skill)) {
+        clearSelection();
+      }
+    });
+  }
+
+  // drop the centred skill, its details and its typed description
+  function clearSelection() {
+    skillItems.forEach((s) => {
+      s.classList.remove('center', 'fade');
+      s.setAttribute('aria-pressed', 'false');
+    });
+    if (skillTyper) skillTyper.cancel();
+    if (skillDescBox) skillDescBox.textContent = '';
+    if (detailEl) detailEl.hidden = true;
+  }
+
+  // typing behavior when clicking a skill (keyboard accessible)
+  function wireSkill(el, skill, context) {
+    el.addEventListener('click', () => {
+      const isActive = el.classList.contains('center');
+      clearSelection();
+
+      if (!isActive) {
+        el.classList.add('center');
+        el.setAttribute('aria-pressed', 'true');
+        skillItems.forEach((s) => {
+          if (s !== el) s.classList.add('fade');
+        });
+        showDetail(skill, context);
+
+        // collapse any source indentation before typing
+        const desc = (skill.desc || '').replace(/\s+/g, ' ').trim();
+        if (skillTyper) skillTyper.type(desc);
+      }
+
+      // mirror the choice in the shared tag index (highlights tools/projects);
+      // select() toggles, so only call it when the index disagrees
+      if (tagIndex) {
+        const current = tagIndex.selection;
+        const inIndex = !!current && current.kind === 'skill' && current.id === el.dataset.skill;
+        if (inIndex !== !isActive) tagIndex.select('skill', el.dataset.skill);
+      }
+    });
+
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        el.click();
+      }
+    });
+  }
+
+  // name, category/level/years, proficiency meter and project links; level
+  // and years are optional and left out (meter hidden) when not given
+  function showDetail(skill, { levels, categories, projectTitles }) {
+    if (!detailEl) return;
+    const category = categories.find((c) => c.id === skill.category);
+    const level = Math.max(0, Math.min(levels.length, Math.round(skill.level || 0)));
+    const levelName = levels[level - 1] || '';
+
+    $('.skill-detail-name', detailEl).textContent = skill.name;
+    $('.skill-detail-meta', detailEl).textContent = [
+      category ? category.label : skill.category,
+      levelName,
+      formatYears(skill.years),
+    ]
+      .filter(Boolean)
+      .join(' · ');
+
+    const meter = $('.skill-meter', detailEl);
+    if (meter) meter.hidden = !level;
+    if (meter && level) {
+      meter.setAttribute('aria-valuemax', String(levels.length));
+      meter.setAttribute('aria-valuenow', String(level));
+      meter.setAttribute('aria-valuetext', `${levelName || 'Level'} (${level} of ${levels.length})`);
+      $('.skill-meter-fill', meter).style.width = `${(level / levels.length) * 100}%`;
+    }
+
+    const list = $('.skill-projects', detailEl);
+    if (list) {
+      list.textContent = '';
+      (skill.projects || []).forEach((id) => {
+        const title = projectTitles.get(id);
+        if (!title) {
+          if (projectTitles.size) console.warn(`[skills] ${skill.name} lists unknown project "${id}".`);
+          return;
+        }
+        const li = document.createElement('li');
+        const a = document.createElement('a');
+        a.href = `#projects/${encodeURIComponent(id)}`;
+        a.textContent = title;
+        li.appendChild(a);
+        list.appendChild(li);
+      });
+      (list.closest('.skill-detail-projects') || list).hidden = !list.children.length;
+    }
+    detailEl.hidden = false;
+  }
+}
+
+// "1 year", "1.5 years"; empty when unknown
+function formatYears(years) {
+  const n = Number(years);
+  if (!n) return '';
+  return `${n} ${n === 1 ? 'year' : 'years'}`;
+}
+
+// sparkle canvas: falling dots while the skills section is on screen
+function initSparkles(canvas, ctx, skillsSection, theme) {
+  // size canvas to element, prefer ResizeObserver
+  function resizeCanvas() {
+    canvas.width = canvas.offsetWidth;
+    canvas.height = canvas.offsetHeight;
+  }
+  if ('ResizeObserver' in window) {
+    const ro = new ResizeObserver(debounce(resizeCanvas, 80));
+    ro.observe(canvas);
+  } else {
+    window.addEventListener('resize', debounce(resizeCanvas, 120), { passive: true });
+  }
+  resizeCanvas();
+
+  // sparkle count follows the ticker's measured quality
+  const SPARKLES = 120;
+  const sparkles = [];
+  function fitSparkles(quality) {
+    const count = Math.round(SPARKLES * quality);
+    while (sparkles.length < count) {
+      sparkles.push({
+        x: Math.random() * canvas.width,
+        y: Math.random() * canvas.height,
+        r: Math.random() * 2 + 0.5,
+        d: Math.random() * 1 + 0.3, // px per 60 Hz frame
+      });
+    }
+    sparkles.length = count;
+  }
+  fitSparkles(ticker.quality);
+  ticker.onQualityChange(fitSparkles);
+
+  let sparkleActive = false;
+  let stopTicking = null;
+
+  // theme colours, re-read on theme change
+  let colors = readColors();
+  function readColors() {
+    return {
+      fill: themeColor('--color-sparkle', 'rgba(0, 255, 255, 0.8)'),
+      glow: themeColor('--color-sparkle-glow', '#0ff'),
+    };
+  }
+
+  // paint sparkles at their current positions
+  function paint() {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.save();
+    ctx.fillStyle = colors.fill;
+    ctx.shadowColor = colors.glow;
+    ctx.shadowBlur = 12;
+    for (let i = 0; i < sparkles.length; i++) {
+      const s = sparkles[i];
+      ctx.beginPath();
+      ctx.arc(s.x, s.y, s.r, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  // per-frame step on the shared ticker
+  function drawSparkles(dt) {
+    if (reduceMotion) return stopSparkles();
+    const k = dt / FRAME_MS;
+    for (let i = 0; i < sparkles.length; i++) {
+      const s = sparkles[i];
+      s.y += s.d * k;
+      if (s.y > canvas.height) {
+        s.y = 0;
+        s.x = Math.random() * canvas.width;
+      }
+    }
+    paint();
+  }
+
+  function startSparkles() {
+    if (!stopTicking && !reduceMotion) stopTicking = ticker.add(drawSparkles);
+  }
+
+  function stopSparkles() {
+    if (stopTicking) stopTicking();
+    stopTicking = null;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+  }
+
+  // recolour the visible frame straight away instead of on the next tick
+  if (theme) {
+    theme.onChange(() => {
+      colors = readColors();
+      if (sparkleActive && !reduceMotion) paint();
+    });
+  }
+
+  // toggle sparkles based on intersection
+  const so = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        sparkleActive = entry.isIntersecting;
+        if (sparkleActive) startSparkles();
+        else stopSparkles();
+      });
+    },
+    { threshold: 0.3 }
+  );
+  so.observe(skillsSection);
+}
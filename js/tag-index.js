@@ -0,0 +1,95 @@
+// === TAG INDEX ===
+// shared tag vocabulary that cross-links skills, tools and projects. Sections
+// register their items with tags; selecting one marks it .is-tag-source,
+// marks items of the other kinds that share a tag .is-tag-match (with a
+// --tag-order for staggered highlight animations) and dims the rest, then
+// tells subscribers (the project catalog filters its cards on it)
+
+// spellings used across the content files for the same thing
+const ALIASES = {
+  js: 'javascript',
+  html5: 'html',
+  css3: 'css',
+  'vs-code': 'vscode',
+  'visual-studio-code': 'vscode',
+};
+
+const CLASSES = ['is-tag-source', 'is-tag-match', 'is-tag-dimmed'];
+
+// "VS Code" -> "vscode", "JS" -> "javascript"
+export function normalizeTag(tag) {
+  const key = String(tag).trim().toLowerCase().replace(/[\s_.]+/g, '-');
+  return ALIASES[key] || key;
+}
+
+export function createTagIndex() {
+  const items = []; // { kind, id, el, label, tags: Set }
+  const listeners = new Set();
+  let selected = null;
+
+  const find = (kind, id) => items.find((it) => it.kind === kind && it.id === id);
+
+  // items of other kinds sharing at least one tag, in registration order
+  function relatedTo(item) {
+    return items.filter((it) => it.kind !== item.kind && [...it.tags].some((t) => item.tags.has(t)));
+  }
+
+  function paint() {
+    const related = selected ? relatedTo(selected) : [];
+    items.forEach((it) => {
+      it.el.classList.remove(...CLASSES);
+      it.el.style.removeProperty('--tag-order');
+      if (!selected) return;
+      if (it === selected) it.el.classList.add('is-tag-source');
+      else if (related.includes(it)) {
+        it.el.classList.add('is-tag-match');
+        it.el.style.setProperty('--tag-order', String(related.indexOf(it)));
+      } else if (it.kind !== selected.kind) it.el.classList.add('is-tag-dimmed');
+    });
+    return related;
+  }
+
+  function notify() {
+    const related = paint();
+    const selection = selected && { kind: selected.kind, id: selected.id, label: selected.label, related };
+    listeners.forEach((fn) => fn(selection));
+  }
+
+  return {
+    // register (or re-register) an item; tags are normalized
+    add(kind, id, el, tags = [], label = id) {
+      const existing = find(kind, id);
+      if (existing) items.splice(items.indexOf(existing), 1);
+      const item = { kind, id, el, label, tags: new Set([id, ...tags].map(normalizeTag)) };
+      items.push(item);
+      if (existing && selected === existing) selected = item;
+      if (selected) paint();
+      return item;
+    },
+    // choose an item (choosing the current one again clears the selection)
+    select(kind, id) {
+      const item = find(kind, id);
+      selected = !item || item === selected ? null : item;
+      notify();
+      return !!selected;
+    },
+    clear() {
+      if (!selected) return;
+      selected = null;
+      notify();
+    },
+    // items linked to a registered item, e.g. related('project', 'fitness')
+    related(kind, id) {
+      const item = find(kind, id);
+      return item ? relatedTo(item) : [];
+    },
+    // fn({ kind, id, label, related } | null) on every change; returns an unsubscribe
+    onChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    get selection() {
+      return selected && { kind: selected.kind, id: selected.id, label: selected.label };
+    },
+  };
+}
@@ -0,0 +1,106 @@
+// === THEME ===
+// light/dark theme on <html data-theme>, driven by CSS custom properties;
+// follows prefers-color-scheme until the visitor picks one (persisted)
+
+import { $ } from './utils.js';
+
+export const THEME_KEY = 'theme'; // keep in sync with the inline script in index.html
+const THEMES = ['dark', 'light'];
+
+// saved preference, or null to follow the system
+function readPreference() {
+  try {
+    const saved = localStorage.getItem(THEME_KEY);
+    return THEMES.includes(saved) ? saved : null;
+  } catch (err) {
+    return null; // storage disabled
+  }
+}
+
+function writePreference(value) {
+  try {
+    if (value) localStorage.setItem(THEME_KEY, value);
+    else localStorage.removeItem(THEME_KEY);
+  } catch (err) {
+    // storage disabled: the choice lasts for this visit only
+  }
+}
+
+// current value of a theme custom property, e.g. themeColor('--color-dust');
+// canvas code reads these at draw time since canvases cannot use var()
+export function themeColor(name, fallback = '') {
+  return getComputedStyle(document.documentElement).getPropertyValue(name).trim() || fallback;
+}
+
+export function createThemeController({ root = document.documentElement } = {}) {
+  const systemQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+  const listeners = new Set();
+  let preference = readPreference();
+  let current = null;
+
+  const systemTheme = () => (systemQuery && systemQuery.matches ? 'light' : 'dark');
+
+  // apply the resolved theme and tell subscribers (canvases redraw on this)
+  function apply() {
+    const next = preference || systemTheme();
+    if (next === current) return;
+    current = next;
+    root.dataset.theme = next;
+    listeners.forEach((fn) => fn(next));
+  }
+
+  // explicit 'light' / 'dark', or null to go back to the system setting
+  function set(value) {
+    preference = THEMES.includes(value) ? value : null;
+    writePreference(preference);
+    apply();
+  }
+
+  if (systemQuery && systemQuery.addEventListener) {
+    systemQuery.addEventListener('change', () => {
+      if (!preference) apply();
+    });
+  }
+
+  // another tab changed the preference
+  window.addEventListener('storage', (e) => {
+    if (e.key !== THEME_KEY) return;
+    preference = readPreference();
+    apply();
+  });
+
+  apply();
+
+  return {
+    set,
+    toggle: () => set(current === 'light' ? 'dark' : 'light'),
+    // fn(theme) after every change; returns an unsubscribe
+    onChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    get current() {
+      return current;
+    },
+    get preference() {
+      return preference;
+    },
+  };
+}
+
+// "Light theme" toggle button: pressed while the light theme is on
+export function initThemeToggle({ theme }) {
+  const btn = $('#themeToggle');
+  if (!btn) return;
+  const icon = $('i', btn);
+
+  function sync(current) {
+    const light = current === 'light';
+    btn.setAttribute('aria-pressed', String(light));
+    if (icon) icon.className = `fas ${light ? 'fa-moon' : 'fa-sun'}`;
+  }
+
+  btn.addEventListener('click', () => theme.toggle());
+  theme.onChange(sync);
+  sync(theme.current);
+}
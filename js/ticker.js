@@ -0,0 +1,117 @@
+// === ANIMATION TICKER ===
+// one requestAnimationFrame loop shared by every canvas / RAF animation:
+// passes delta time, sleeps while the tab is hidden or nothing is subscribed,
+// spreads work over frames past the frame budget and lowers quality when the
+// measured frame rate falls
+
+import { raf, cancelRaf, now } from './utils.js';
+
+// one frame at 60 Hz; per-frame speeds are scaled by dt / FRAME_MS
+export const FRAME_MS = 1000 / 60;
+
+// quality steps, from full detail down; modules scale particle counts by these
+const QUALITY_LEVELS = [1, 0.6, 0.35];
+
+export function createTicker({
+  budget = 10, // ms of callback work per frame before the rest wait a frame
+  sampleFrames = 90, // frames per frame-rate measurement
+  minFps = 45, // below this (averaged) quality drops one step
+  maxDelta = 100, // ms; longer gaps (stalls, resumed tabs) count as this
+} = {}) {
+  const subscribers = [];
+  const qualityListeners = new Set();
+  let rafId = null;
+  let level = 0;
+  let cursor = 0; // first subscriber to run next frame (round-robin past the budget)
+  let sample = { frames: 0, elapsed: 0 };
+  let lastFrame = null;
+
+  function frame(time) {
+    rafId = null;
+    const frameStart = now();
+    if (lastFrame !== null) measure(Math.min(time - lastFrame, maxDelta));
+    lastFrame = time;
+
+    // run callbacks until the budget is spent; the rest go first next frame
+    const list = subscribers.slice();
+    const count = list.length;
+    for (let n = 0; n < count; n++) {
+      const sub = list[(cursor + n) % count];
+      if (n > 0 && now() - frameStart > budget) {
+        cursor = (cursor + n) % count;
+        break;
+      }
+      if (!subscribers.includes(sub)) continue; // removed by an earlier callback
+      const dt = sub.last === null ? FRAME_MS : Math.min(time - sub.last, maxDelta);
+      sub.last = time;
+      sub.fn(dt, time);
+    }
+    schedule();
+  }
+
+  // average frame rate over sampleFrames; sustained slow frames drop quality
+  function measure(delta) {
+    sample.frames++;
+    sample.elapsed += delta;
+    if (sample.frames < sampleFrames) return;
+    const fps = (1000 * sample.frames) / sample.elapsed;
+    sample = { frames: 0, elapsed: 0 };
+    if (fps < minFps && level < QUALITY_LEVELS.length - 1) {
+      level++;
+      qualityListeners.forEach((fn) => fn(QUALITY_LEVELS[level]));
+    }
+  }
+
+  function schedule() {
+    if (rafId || !subscribers.length || document.hidden) return;
+    rafId = raf(frame);
+  }
+
+  // stop the loop; the next frame after resuming starts with fresh timings
+  function halt() {
+    if (rafId) cancelRaf(rafId);
+    rafId = null;
+    lastFrame = null;
+    sample = { frames: 0, elapsed: 0 };
+    subscribers.forEach((sub) => (sub.last = null));
+  }
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) halt();
+    else schedule();
+  });
+
+  return {
+    // fn(dt, time) every frame until the returned function is called
+    add(fn) {
+      const sub = { fn, last: null };
+      subscribers.push(sub);
+      schedule();
+      return () => {
+        const i = subscribers.indexOf(sub);
+        if (i !== -1) subscribers.splice(i, 1);
+        if (!subscribers.length) halt();
+      };
+    },
+    // drop every subscriber (pagehide)
+    stop() {
+      subscribers.length = 0;
+      halt();
+    },
+    // fn(quality) whenever quality drops; returns an unsubscribe
+    onQualityChange(fn) {
+      qualityListeners.add(fn);
+      return () => qualityListeners.delete(fn);
+    },
+    // 1 = full detail; lower values mean fewer particles
+    get quality() {
+      return QUALITY_LEVELS[level];
+    },
+    get running() {
+      return !!rafId;
+    },
+  };
+}
+
+// the shared ticker used by the site's animations
+export const ticker = createTicker();
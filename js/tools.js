@@ -0,0 +1,193 @@
+// === TOOLS MODULE ===
+// renders tools.json as cards grouped by category; a card expands to show how
+// the tool fits the workflow (click, Enter / Space; Escape closes, arrow keys
+// move between cards). Icons that fail fall back to a local file or a
+// lettered badge. Resolves the rendered tools
+
+import { $, $$, loadJSON } from './utils.js';
+
+// tagIndex: shared tag index the open card is selected in
+export function initToolsModule({ tagIndex } = {}) {
+  const container = $('#toolsContainer');
+  const emptyEl = $('#toolsEmpty');
+  if (!container) return Promise.resolve([]);
+
+  const src = container.dataset.content;
+  if (!src) return Promise.resolve([]);
+
+  let cards = [];
+
+  return loadJSON(src)
+    .then((json) => {
+      const tools = (json.tools || []).filter((tool) => {
+        if (tool && tool.name) return true;
+        console.warn('[tools] skipping tool without a name:', tool);
+        return false;
+      });
+
+      container.textContent = '';
+      groupTools(tools, json.categories || []).forEach((group) => container.appendChild(renderGroup(group)));
+      cards = $$('.tool-card', container);
+      if (tagIndex) linkTags(tools);
+      return tools;
+    })
+    .catch((err) => {
+      console.warn(`[tools] could not load ${src}.`, err);
+      if (emptyEl) {
+        emptyEl.textContent = 'Tools could not be loaded right now.';
+        emptyEl.hidden = false;
+      }
+      return [];
+    });
+
+  // listed categories first (in their order), then any others as first seen
+  function groupTools(tools, categories) {
+    const groups = categories.map((c) => ({ id: c.id, label: c.label || c.id, tools: [] }));
+    tools.forEach((tool) => {
+      const id = tool.category || 'other';
+      let group = groups.find((g) => g.id === id);
+      if (!group) groups.push((group = { id, label: id.charAt(0).toUpperCase() + id.slice(1), tools: [] }));
+      group.tools.push(tool);
+    });
+    return groups.filter((g) => g.tools.length);
+  }
+
+  function renderGroup(group) {
+    const wrap = document.createElement('div');
+    wrap.className = 'tool-group';
+    wrap.dataset.category = group.id;
+    wrap.setAttribute('role', 'group');
+
+    const label = document.createElement('h2');
+    label.className = 'tool-group-label';
+    label.id = `tool-group-${group.id}`;
+    label.textContent = group.label;
+    wrap.setAttribute('aria-labelledby', label.id);
+
+    const list = document.createElement('div');
+    list.className = 'tool-group-cards';
+    group.tools.forEach((tool) => list.appendChild(renderCard(tool)));
+
+    wrap.append(label, list);
+    return wrap;
+  }
+
+  // icon + name toggle that expands the card's workflow note
+  function renderCard(tool) {
+    const id = toolId(tool);
+    const card = document.createElement('article');
+    card.className = 'tool-card';
+    card.dataset.tool = id;
+    card.dataset.revealItem = '';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'tool-card-toggle';
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.appendChild(renderIcon(tool));
+    const name = document.createElement('p');
+    name.textContent = tool.name;
+    toggle.appendChild(name);
+
+    const usage = document.createElement('div');
+    usage.className = 'tool-card-usage';
+    usage.id = `tool-usage-${id}`;
+    usage.hidden = true;
+    usage.textContent = tool.usage || '';
+    toggle.setAttribute('aria-controls', usage.id);
+
+    toggle.addEventListener('click', () => setOpen(card, !card.classList.contains('is-open')));
+    toggle.addEventListener('keydown', (e) => onKey(e, card));
+
+    card.append(toggle, usage);
+    return card;
+  }
+
+  // icon; on error try tool.fallback (a local file), then a lettered badge
+  function renderIcon(tool) {
+    const img = document.createElement('img');
+    img.src = tool.icon || tool.fallback || '';
+    img.alt = ''; // the name is right below
+    img.loading = 'lazy';
+    img.addEventListener('error', () => {
+      if (tool.fallback && img.getAttribute('src') !== tool.fallback) {
+        img.src = tool.fallback;
+        return;
+      }
+      img.replaceWith(renderBadge(tool.name));
+    });
+    if (!img.getAttribute('src')) return renderBadge(tool.name);
+    return img;
+  }
+
+  function renderBadge(name) {
+    const badge = document.createElement('span');
+    badge.className = 'tool-icon-fallback';
+    badge.setAttribute('aria-hidden', 'true');
+    badge.textContent = name
+      .split(/\s+/)
+      .slice(0, 2)
+      .map((word) => word.charAt(0).toUpperCase())
+      .join('');
+    return badge;
+  }
+
+  // one card open at a time; the open card is mirrored in the tag index
+  function setOpen(card, open, { sync = true } = {}) {
+    if (open) {
+      cards.forEach((c) => {
+        if (c !== card && c.classList.contains('is-open')) setOpen(c, false, { sync: false });
+      });
+    }
+    card.classList.toggle('is-open', open);
+    $('.tool-card-toggle', card).setAttribute('aria-expanded', String(open));
+    $('.tool-card-usage', card).hidden = !open;
+
+    if (!tagIndex || !sync) return;
+    const current = tagIndex.selection;
+    const inIndex = !!current && current.kind === 'tool' && current.id === card.dataset.tool;
+    if (inIndex !== open) tagIndex.select('tool', card.dataset.tool);
+  }
+
+  // Escape closes; arrows / Home / End move between cards
+  function onKey(e, card) {
+    if (e.key === 'Escape' && card.classList.contains('is-open')) {
+      e.preventDefault();
+      setOpen(card, false);
+      return;
+    }
+    const i = cards.indexOf(card);
+    const next = {
+      ArrowRight: i + 1,
+      ArrowDown: i + 1,
+      ArrowLeft: i - 1,
+      ArrowUp: i - 1,
+      Home: 0,
+      End: cards.length - 1,
+    }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    const target = cards[(next + cards.length) % cards.length];
+    $('.tool-card-toggle', target).focus();
+  }
+
+  // register cards by id plus any extra "tags"; choosing a skill or project
+  // elsewhere closes the open card
+  function linkTags(tools) {
+    cards.forEach((card) => {
+      const tool = tools.find((t) => toolId(t) === card.dataset.tool);
+      tagIndex.add('tool', card.dataset.tool, card, tool.tags || [], tool.name);
+    });
+    tagIndex.onChange((selection) => {
+      cards.forEach((card) => {
+        const chosen = !!selection && selection.kind === 'tool' && selection.id === card.dataset.tool;
+        if (!chosen && card.classList.contains('is-open')) setOpen(card, false, { sync: false });
+      });
+    });
+  }
+}
+
+// "VS Code" -> "vs-code" when the entry has no id
+function toolId(tool) {
+  return tool.id || tool.name.toLowerCase().replace(/\s+/g, '-');
+}
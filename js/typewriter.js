@@ -0,0 +1,103 @@
+// === TYPEWRITER ===
+// shared typing engine: plain or rich content, cancel/skip-to-end, pauses while
+// the tab is hidden; only the finished text is announced to screen readers
+
+import { reduceMotion } from './utils.js';
+
+export function createTypewriter(el, { speed = 30, announce = true } = {}) {
+  let timer = null;
+  let job = null; // { targets: [{ node, text }], n, i, resolve }
+  let live = null;
+
+  // off-screen live region so AT hears the final text, not every character
+  if (announce) {
+    live = document.createElement('span');
+    live.className = 'visually-hidden';
+    live.setAttribute('aria-live', 'polite');
+    el.insertAdjacentElement('afterend', live);
+  }
+
+  // content as a fragment: strings become text, nodes are moved in as-is
+  function toFragment(content) {
+    const frag = document.createDocumentFragment();
+    if (typeof content === 'string') frag.appendChild(document.createTextNode(content));
+    else if (content) frag.appendChild(content);
+    return frag;
+  }
+
+  // non-empty text nodes in document order
+  function textNodesOf(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) if (walker.currentNode.data) nodes.push(walker.currentNode);
+    return nodes;
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = document.hidden ? null : setTimeout(tick, speed);
+  }
+
+  // reveal one more character
+  function tick() {
+    timer = null;
+    if (!job) return;
+    const t = job.targets[job.n];
+    t.node.data = t.text.slice(0, ++job.i);
+    if (job.i >= t.text.length) {
+      job.n++;
+      job.i = 0;
+    }
+    if (job.n >= job.targets.length) finish(true);
+    else schedule();
+  }
+
+  // end the current job; completed jobs show (and announce) the full text
+  function finish(completed) {
+    clearTimeout(timer);
+    timer = null;
+    const current = job;
+    job = null;
+    if (!current) return;
+    if (completed) {
+      current.targets.forEach((t) => (t.node.data = t.text));
+      if (live) live.textContent = el.textContent.replace(/\s+/g, ' ').trim();
+    }
+    el.removeAttribute('aria-busy');
+    current.resolve(completed);
+  }
+
+  // type content into el, replacing what is there; resolves true when complete
+  // (or skipped), false when cancelled or superseded
+  function type(content) {
+    finish(false);
+    el.textContent = '';
+    if (live) live.textContent = '';
+
+    const frag = toFragment(content);
+    const targets = textNodesOf(frag).map((node) => ({ node, text: node.data }));
+    targets.forEach((t) => (t.node.data = ''));
+    el.appendChild(frag);
+
+    return new Promise((resolve) => {
+      job = { targets, n: 0, i: 0, resolve };
+      el.setAttribute('aria-busy', 'true');
+      if (!targets.length || reduceMotion) finish(true);
+      else schedule();
+    });
+  }
+
+  // pause while the tab is hidden, resume when it returns
+  document.addEventListener('visibilitychange', () => {
+    if (job) schedule();
+  });
+
+  return {
+    type,
+    cancel: () => finish(false),
+    skip: () => finish(true),
+    get typing() {
+      return !!job;
+    },
+  };
+}
@@ -0,0 +1,66 @@
+// === UP ARROWS (NAVIGATION) ===
+// injects up-arrow in top-right of each section (keyboard accessible)
+
+export function initUpArrows({ pager }) {
+  const sections = Array.from(document.querySelectorAll('section'));
+  const hero = document.querySelector('.hero');
+  const roadmap = document.querySelector('.work-roadmap');
+
+  if (!sections.length || !hero || !roadmap) return;
+
+  sections.forEach((section) => {
+    // skip if arrow already present
+    if (section.querySelector('.goto-arrow')) return;
+
+    const arrow = document.createElement('div');
+    arrow.className = 'goto-arrow top-right';
+    arrow.setAttribute('role', 'button');
+    arrow.setAttribute('tabindex', '0');
+    arrow.setAttribute('aria-label', 'Navigate to roadmap or hero');
+    arrow.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="30" height="30" fill="currentColor">
+        <path d="M12 4l-8 8h5v8h6v-8h5z"/>
+      </svg>
+    `;
+
+    // inline fallback style (primary styling in CSS)
+    Object.assign(arrow.style, {
+      position: 'absolute',
+      top: '20px',
+      right: '20px',
+      cursor: 'pointer',
+      color: 'var(--color-arrow)', // svg fill follows the theme
+      zIndex: '20',
+      opacity: '0.85',
+      transition: 'transform 0.18s ease, opacity 0.18s ease',
+    });
+
+    section.style.position = section.style.position || 'relative';
+    section.appendChild(arrow);
+
+    arrow.addEventListener('mouseenter', () => (arrow.style.transform = 'scale(1.12)'));
+    arrow.addEventListener('mouseleave', () => (arrow.style.transform = 'scale(1)'));
+
+    arrow.addEventListener(
+      'click',
+      (e) => {
+        e.preventDefault();
+        pager.goTo(section.classList.contains('work-roadmap') ? hero.id : roadmap.id);
+      },
+      { passive: true }
+    );
+
+    arrow.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        arrow.click();
+      }
+    });
+
+    // mobile position tweak
+    if (window.innerWidth < 600) {
+      arrow.style.top = '10px';
+      arrow.style.right = '10px';
+    }
+  });
+}
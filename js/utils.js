@@ -0,0 +1,46 @@
+// === UTILITIES & GLOBAL CONFIG ===
+// shared helpers imported by every module
+export const raf = (fn) => window.requestAnimationFrame(fn);
+export const cancelRaf = (id) => window.cancelAnimationFrame(id);
+export const now = () => performance.now();
+
+// query helpers
+export const $ = (s, ctx = document) => ctx.querySelector(s);
+export const $$ = (s, ctx = document) => Array.from(ctx.querySelectorAll(s));
+
+// user motion preference (live: follows changes to the OS setting)
+const motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+export let reduceMotion = !!(motionQuery && motionQuery.matches);
+if (motionQuery && motionQuery.addEventListener) {
+  motionQuery.addEventListener('change', (e) => (reduceMotion = e.matches));
+}
+
+// debounce helper
+export function debounce(fn, wait = 100) {
+  let t;
+  return function (...args) {
+    clearTimeout(t);
+    t = setTimeout(() => fn.apply(this, args), wait);
+  };
+}
+
+// throttle helper
+export function throttle(fn, limit = 16) {
+  let last = 0;
+  return function (...args) {
+    const t = now();
+    if (t - last >= limit) {
+      last = t;
+      fn.apply(this, args);
+    }
+  };
+}
+
+// fetch and parse a JSON content file
+export function loadJSON(src) {
+  if (typeof fetch !== 'function') return Promise.reject(new Error('fetch unsupported'));
+  return fetch(src).then((res) => {
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  });
+}
@@ -0,0 +1,209 @@
+/* ========================================================
+   Service worker: offline copy of the portfolio
+   - Precaches the shell, the resume and a small WebP copy of
+     each large image on install (registered by js/offline.js)
+   - Same-origin GETs are stale-while-revalidate: the cached
+     copy answers straight away and the network refreshes it
+     for the next visit
+   - The hero video is cached the first time it plays, so
+     visitors who never get it (data saver, 2G, reduced motion)
+     never download it; range requests are cut from that copy,
+     which is refreshed only when VERSION changes
+   - The large PNGs and their other variants are cached as
+     they are used; offline, a missing one falls back to
+     whichever copy of that image is cached, else the small one
+   - Bump VERSION whenever PRECACHE changes; caches from older
+     versions are dropped on activate
+   ======================================================== */
+const VERSION = 'v5';
+const CACHE = `portfolio-${VERSION}`;
+
+// smallest variant of each image in images/manifest.json (tools/build-images.js)
+const OFFLINE_IMAGES = [
+  'images/background-640w.webp',
+  'images/circuit-bg-640w.webp',
+  'images/projects-bg-640w.webp',
+  'images/project1-1-360w.webp',
+  'images/project1-2-360w.webp',
+  'images/project2-1-360w.webp',
+  'images/project2-2-360w.webp',
+];
+
+const PRECACHE = [
+  './',
+  'index.html',
+  'style.css',
+  // scripts
+  'js/main.js',
+  'js/contact-form.js',
+  'js/contact-transports.js',
+  'js/hero-timeline.js',
+  'js/hero.js',
+  'js/offline.js',
+  'js/pager.js',
+  'js/particles-scene.js',
+  'js/particles-worker.js',
+  'js/particles.js',
+  'js/project-catalog.js',
+  'js/project-modal.js',
+  'js/project-sliders.js',
+  'js/projects-layer.js',
+  'js/responsive-images.js',
+  'js/reveal.js',
+  'js/roadmap.js',
+  'js/router.js',
+  'js/skills.js',
+  'js/tag-index.js',
+  'js/theme.js',
+  'js/ticker.js',
+  'js/tools.js',
+  'js/typewriter.js',
+  'js/up-arrows.js',
+  'js/utils.js',
+  // content
+  'images/manifest.json',
+  'hero-timeline.json',
+  'projects.json',
+  'roadmap.json',
+  'skills.json',
+  'tools.json',
+  // fonts and icons (tools/vendor-assets.js)
+  'vendor/fonts/anta.css',
+  'vendor/fonts/anta-latin-400-normal.woff2',
+  'vendor/fonts/anta-latin-ext-400-normal.woff2',
+  'vendor/fontawesome/css/all.min.css',
+  'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+  'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+  'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+  'vendor/fontawesome/webfonts/fa-v4compatibility.woff2',
+  'vendor/icons/canva.svg',
+  'vendor/icons/chatgpt.svg',
+  'vendor/icons/figma.svg',
+  'vendor/icons/github.svg',
+  'vendor/icons/vscode.svg',
+  // images and media
+  'logo.png',
+  'hero-poster.svg',
+  ...OFFLINE_IMAGES,
+  'Resume.pdf',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key.startsWith('portfolio-') && key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.headers.has('range')) {
+    event.respondWith(rangeFromCache(request));
+    return;
+  }
+
+  const network = revalidate(request);
+  event.waitUntil(network.then(({ stored }) => stored).catch(() => {}));
+  event.respondWith(
+    fromCache(request).then((cached) => {
+      if (cached) return cached;
+      // nothing cached: wait for the network; offline, pages fall back to the
+      // shell and images to another cached copy of themselves
+      return network.then(({ response }) => response).catch((err) => {
+        const fallback = request.mode === 'navigate' ? caches.match('index.html') : cachedCopyOf(request.url);
+        return fallback.then((copy) => copy || Promise.reject(err));
+      });
+    })
+  );
+});
+
+// the #hash never reaches the worker; ?query variants of a page share its copy
+function fromCache(request) {
+  return caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+}
+
+// "background" for "background.png" and "images/background-1280w.avif"
+function imageName(url) {
+  const match = /\/(?:images\/(.+)-\d+w\.(?:avif|webp)|([^/]+)\.png)$/.exec(new URL(url).pathname);
+  return match ? match[1] || match[2] : undefined;
+}
+
+// another copy of the same image: the original or a variant cached while
+// online, else the precached small one. Resolves undefined when there is none
+async function cachedCopyOf(url) {
+  const name = imageName(url);
+  if (!name) return undefined;
+  const cache = await caches.open(CACHE);
+  const copies = (await cache.keys()).filter((req) => req.url !== url && imageName(req.url) === name);
+  // anything fetched while online is at least as large as the precached copy
+  const precached = (req) => OFFLINE_IMAGES.some((file) => req.url.endsWith(`/${file}`));
+  const best = copies.find((req) => !precached(req)) || copies[0];
+  return best ? cache.match(best) : undefined;
+}
+
+// fetch a fresh copy and store it for next time; only complete same-origin
+// responses are kept. Resolves { response, stored }
+function revalidate(request) {
+  return fetch(request).then((response) => {
+    let stored = Promise.resolve();
+    if (response.status === 200 && response.type === 'basic') {
+      const copy = response.clone(); // before the page starts reading the body
+      stored = caches.open(CACHE).then((cache) => cache.put(request, copy));
+    }
+    return { response, stored };
+  });
+}
+
+// answer "Range: bytes=start-end" from the cached file so the video can seek
+// offline. The first request fetches and keeps the whole file (a few hundred
+// KB); if that fails, the range goes to the network as usual
+async function rangeFromCache(request) {
+  let cached = await caches.match(request.url);
+  if (!cached) {
+    const fetched = await revalidate(new Request(request.url)).catch(() => null);
+    if (!fetched || fetched.response.status !== 200) return fetch(request);
+    await fetched.stored;
+    cached = fetched.response;
+  }
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range').trim());
+  if (!match || (!match[1] && !match[2])) return cached;
+  const body = await cached.blob();
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // "bytes=-500": the last 500 bytes
+    start = Math.max(body.size - Number(match[2]), 0);
+    end = body.size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), body.size - 1) : body.size - 1;
+  }
+  if (start >= body.size || start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${body.size}` } });
+  }
+
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': cached.headers.get('Content-Type') || body.type,
+      'Content-Range': `bytes ${start}-${end}/${body.size}`,
+      'Content-Length': String(end - start + 1),
+    },
+  });
+}
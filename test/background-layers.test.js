@@ -0,0 +1,87 @@
+import { FakeIntersectionObserver, setBody, setReducedMotion } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initParticlesModule } from '../js/particles.js';
+import { initProjectsLayer } from '../js/projects-layer.js';
+import { ticker } from '../js/ticker.js';
+
+// 2D context that records how often the canvas is cleared
+function fakeContext() {
+  const ctx = {};
+  ['clearRect', 'beginPath', 'arc', 'fill', 'save', 'restore', 'translate', 'fillText'].forEach(
+    (name) => (ctx[name] = mock.fn())
+  );
+  return ctx;
+}
+
+describe('initParticlesModule', () => {
+  let ctx;
+
+  beforeEach(() => {
+    setBody('<section class="contact-section"><canvas id="particlesCanvas"></canvas></section>');
+    ctx = fakeContext();
+    document.getElementById('particlesCanvas').getContext = () => ctx;
+  });
+
+  afterEach(() => {
+    window.dispatchEvent(new Event('pagehide'));
+    ticker.stop();
+    setReducedMotion(false);
+  });
+
+  it('draws a frame straight away', () => {
+    initParticlesModule();
+    assert.equal(ctx.clearRect.mock.callCount(), 1);
+    assert.ok(ctx.fillText.mock.callCount() > 0);
+  });
+
+  it('draws nothing for reduced-motion users', () => {
+    setReducedMotion(true);
+    initParticlesModule();
+    FakeIntersectionObserver.trigger(document.querySelector('.contact-section'), true);
+    assert.equal(ctx.clearRect.mock.callCount(), 0);
+  });
+
+  it('skips browsers without a 2D canvas', () => {
+    document.getElementById('particlesCanvas').getContext = () => null;
+    assert.doesNotThrow(() => initParticlesModule());
+  });
+});
+
+describe('initProjectsLayer', () => {
+  let section;
+
+  beforeEach(() => {
+    setBody('<section class="projects-section"></section>');
+    section = document.querySelector('.projects-section');
+  });
+
+  afterEach(() => {
+    FakeIntersectionObserver.trigger(section, false);
+    setReducedMotion(false);
+  });
+
+  it('adds the glow layer and shows it on hover', () => {
+    initProjectsLayer();
+    const glow = section.querySelector('.projects-animation-layer .projects-glow');
+    assert.ok(glow);
+    section.dispatchEvent(new MouseEvent('mouseenter'));
+    assert.equal(glow.style.opacity, '1');
+    section.dispatchEvent(new MouseEvent('mouseleave'));
+    assert.equal(glow.style.opacity, '0');
+  });
+
+  it('floats wheels only while the section is visible', () => {
+    initProjectsLayer();
+    assert.equal(section.querySelectorAll('.floating-wheel').length, 0);
+    FakeIntersectionObserver.trigger(section, true);
+    assert.ok(section.querySelectorAll('.floating-wheel').length > 0);
+  });
+
+  it('keeps wheels off for reduced-motion users', () => {
+    setReducedMotion(true);
+    initProjectsLayer();
+    FakeIntersectionObserver.trigger(section, true);
+    assert.equal(section.querySelectorAll('.floating-wheel').length, 0);
+  });
+});
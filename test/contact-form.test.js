@@ -0,0 +1,170 @@
+import { advance, flush, jsonResponse, setBody } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initContactForm } from '../js/contact-form.js';
+
+const FORM = `
+  <form class="contact-form" action="https://example.test/f" method="POST" data-transport="formspree" data-timeout="5000">
+    <div class="form-field">
+      <input id="contactName" name="name" />
+      <p class="field-error" id="contactNameError"></p>
+    </div>
+    <div class="form-field">
+      <input id="contactEmail" name="email" type="email" />
+      <p class="field-error" id="contactEmailError"></p>
+    </div>
+    <div class="form-field">
+      <textarea id="contactMessage" name="message"></textarea>
+      <p class="field-error" id="contactMessageError"></p>
+    </div>
+    <div class="form-honeypot" aria-hidden="true"><input id="contactGotcha" name="_gotcha" tabindex="-1" /></div>
+    <button type="submit">Send</button>
+    <p class="form-status" role="status"></p>
+  </form>`;
+
+function fill({ name = 'Sam', email = 'sam@example.com', message = 'Hello there, nice site!' } = {}) {
+  document.getElementById('contactName').value = name;
+  document.getElementById('contactEmail').value = email;
+  document.getElementById('contactMessage').value = message;
+}
+
+function submit() {
+  document.querySelector('.contact-form').dispatchEvent(new Event('submit', { cancelable: true }));
+}
+
+const status = () => document.querySelector('.form-status').textContent;
+
+describe('initContactForm', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    localStorage.clear();
+    setBody(FORM);
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    delete globalThis.fetch;
+  });
+
+  it('flags invalid fields inline and sends nothing', () => {
+    globalThis.fetch = mock.fn();
+    initContactForm();
+    fill({ name: 'S', email: 'not-an-email', message: '' });
+    advance(3000, 100);
+    submit();
+
+    const name = document.getElementById('contactName');
+    assert.equal(name.getAttribute('aria-invalid'), 'true');
+    assert.equal(name.getAttribute('aria-describedby'), 'contactNameError');
+    assert.match(document.getElementById('contactNameError').textContent, /at least 2/);
+    assert.match(document.getElementById('contactEmailError').textContent, /valid email/);
+    assert.equal(document.activeElement, name);
+    assert.equal(globalThis.fetch.mock.callCount(), 0);
+  });
+
+  it('goes Sending... → success, then clears the status', async () => {
+    const states = [];
+    document.addEventListener('contactstatus', (e) => states.push(e.detail.state));
+    let reply;
+    globalThis.fetch = mock.fn(() => new Promise((resolve) => (reply = resolve)));
+    initContactForm();
+    fill();
+    advance(3000, 100);
+    submit();
+
+    assert.equal(status(), 'Sending...');
+    assert.equal(document.querySelector('button[type="submit"]').disabled, true);
+
+    reply(jsonResponse({ ok: true }));
+    await flush();
+    assert.equal(status(), '✅ Message sent successfully!');
+    assert.deepEqual(states, ['sending', 'sent']);
+    assert.equal(document.getElementById('contactName').value, '');
+    assert.equal(document.querySelector('button[type="submit"]').disabled, false);
+
+    advance(3000, 100);
+    assert.equal(status(), '');
+  });
+
+  it('reports server errors', async () => {
+    globalThis.fetch = mock.fn(() => Promise.resolve(jsonResponse({}, { status: 500 })));
+    initContactForm();
+    fill();
+    advance(3000, 100);
+    submit();
+    await flush();
+    assert.equal(status(), '❌ Something went wrong. Try again.');
+  });
+
+  it('reports a timeout when the server does not answer', async () => {
+    globalThis.fetch = mock.fn(
+      (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+        })
+    );
+    initContactForm();
+    fill();
+    advance(3000, 100);
+    submit();
+    advance(5000, 100);
+    await flush();
+    assert.match(status(), /took too long/);
+  });
+
+  it('queues the message when offline and clears the form', async () => {
+    globalThis.fetch = mock.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+    initContactForm();
+    fill();
+    advance(3000, 100);
+    submit();
+    await flush();
+
+    assert.match(status(), /offline/);
+    const queued = JSON.parse(localStorage.getItem('contactOutbox'));
+    assert.equal(queued.length, 1);
+    assert.equal(queued[0].fields.email, 'sam@example.com');
+    assert.equal(queued[0].fields._gotcha, undefined);
+    assert.equal(document.getElementById('contactEmail').value, ''); // the outbox has it now
+  });
+
+  it('sends queued messages once the browser is back online', async () => {
+    globalThis.fetch = mock.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+    initContactForm();
+    fill();
+    advance(3000, 100);
+    submit();
+    await flush();
+    assert.ok(localStorage.getItem('contactOutbox'));
+
+    globalThis.fetch = mock.fn(() => Promise.resolve(jsonResponse({ ok: true })));
+    window.dispatchEvent(new Event('online'));
+    await flush();
+
+    // forms from earlier tests also listen for 'online' and may send it as well
+    const sent = globalThis.fetch.mock.calls.map((c) => c.arguments);
+    assert.ok(sent.some(([url, { body }]) => url === 'https://example.test/f' && body.get('email') === 'sam@example.com'));
+    assert.equal(localStorage.getItem('contactOutbox'), null);
+    assert.match(status(), /saved message was sent/);
+  });
+
+  it('rejects submissions made too soon after the page loads', () => {
+    globalThis.fetch = mock.fn();
+    initContactForm();
+    fill();
+    submit();
+    assert.match(status(), /That was quick/);
+    assert.equal(globalThis.fetch.mock.callCount(), 0);
+  });
+
+  it('silently drops submissions that fill the honeypot', () => {
+    globalThis.fetch = mock.fn();
+    initContactForm();
+    fill();
+    document.getElementById('contactGotcha').value = 'spam';
+    advance(3000, 100);
+    submit();
+    assert.equal(status(), '✅ Message sent successfully!');
+    assert.equal(globalThis.fetch.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,164 @@
+// === TEST DOM ===
+// jsdom window exposed as globals before any js/ module is imported, plus
+// stubs for the browser APIs jsdom lacks (matchMedia, IntersectionObserver)
+
+import { mock } from 'node:test';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+// silence jsdom's "not implemented" noise (canvas, scrollIntoView, navigation)
+const virtualConsole = new VirtualConsole();
+virtualConsole.on('error', () => {});
+
+const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+  url: 'http://localhost/',
+  pretendToBeVisual: true,
+  virtualConsole,
+});
+const { window } = dom;
+
+// media queries the tests can flip at runtime (reduced motion, color scheme)
+const mediaQueries = new Map();
+function mediaQuery(feature) {
+  if (!mediaQueries.has(feature)) {
+    const listeners = [];
+    mediaQueries.set(feature, {
+      matches: false,
+      listeners,
+      addEventListener: (type, fn) => listeners.push(fn),
+      removeEventListener: (type, fn) => listeners.splice(listeners.indexOf(fn) >>> 0, 1),
+    });
+  }
+  return mediaQueries.get(feature);
+}
+window.matchMedia = (query) => {
+  const feature = ['prefers-reduced-motion', 'prefers-color-scheme'].find((f) => query.includes(f));
+  return feature ? mediaQuery(feature) : { matches: false, addEventListener() {}, removeEventListener() {} };
+};
+
+function setMedia(feature, value) {
+  const mq = mediaQuery(feature);
+  mq.matches = value;
+  mq.listeners.forEach((fn) => fn({ matches: value }));
+}
+
+export function setReducedMotion(value) {
+  setMedia('prefers-reduced-motion', value);
+}
+
+// only '(prefers-color-scheme: light)' is queried by the site
+export function setSystemTheme(theme) {
+  setMedia('prefers-color-scheme', theme === 'light');
+}
+
+// IntersectionObserver stub; tests drive visibility with trigger()
+export class FakeIntersectionObserver {
+  constructor(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.targets = new Set();
+    FakeIntersectionObserver.instances.push(this);
+  }
+  observe(el) {
+    this.targets.add(el);
+  }
+  unobserve(el) {
+    this.targets.delete(el);
+  }
+  disconnect() {
+    this.targets.clear();
+  }
+  // report el as (not) intersecting to every observer watching it
+  static trigger(el, isIntersecting) {
+    FakeIntersectionObserver.instances
+      .filter((io) => io.targets.has(el))
+      .forEach((io) => io.callback([{ target: el, isIntersecting, intersectionRatio: isIntersecting ? 1 : 0 }], io));
+  }
+}
+FakeIntersectionObserver.instances = [];
+window.IntersectionObserver = FakeIntersectionObserver;
+
+// jsdom does not scroll; record calls instead of throwing
+window.HTMLElement.prototype.scrollIntoView = function () {
+  this.dataset.scrolledIntoView = 'true';
+};
+window.scrollBy = () => {};
+
+const GLOBALS = [
+  'window',
+  'document',
+  'navigator',
+  'location',
+  'history',
+  'localStorage',
+  'getComputedStyle',
+  'HTMLElement',
+  'Element',
+  'Node',
+  'NodeFilter',
+  'DocumentFragment',
+  'FormData',
+  'Event',
+  'CustomEvent',
+  'KeyboardEvent',
+  'MouseEvent',
+  'IntersectionObserver',
+];
+GLOBALS.forEach((key) => {
+  const value = key === 'window' ? window : window[key];
+  Object.defineProperty(globalThis, key, { value, configurable: true, writable: true });
+});
+
+// replace the page body with fixture markup
+export function setBody(html) {
+  document.body.innerHTML = html;
+}
+
+// let pending promise callbacks run (works with mocked timers)
+export function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+// advance mocked timers in small steps so timers scheduled by other timers
+// fire within the same window (a single tick() only runs those already queued)
+export function advance(ms, step = 1) {
+  for (let t = 0; t < ms; t += step) mock.timers.tick(step);
+}
+
+// manual requestAnimationFrame: frame(ms) runs queued callbacks with a
+// timestamp ms later than the previous frame
+export function installFakeRaf() {
+  const original = [window.requestAnimationFrame, window.cancelAnimationFrame];
+  let queue = new Map();
+  let nextId = 1;
+  let time = 1000;
+  window.requestAnimationFrame = (fn) => {
+    queue.set(nextId, fn);
+    return nextId++;
+  };
+  window.cancelAnimationFrame = (id) => queue.delete(id);
+  return {
+    frame(ms = 1000 / 60) {
+      time += ms;
+      const due = queue;
+      queue = new Map();
+      due.forEach((fn) => fn(time));
+    },
+    get pending() {
+      return queue.size;
+    },
+    restore() {
+      [window.requestAnimationFrame, window.cancelAnimationFrame] = original;
+    },
+  };
+}
+
+// minimal fetch Response
+export function jsonResponse(body, { status = 200 } = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+  };
+}
+
+export { window };
@@ -0,0 +1,264 @@
+import { flush, installFakeRaf, jsonResponse, setBody, setReducedMotion } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initHeroModule, prefersLessData } from '../js/hero.js';
+import { cuePhase, createHeroTimeline, normalizeCues } from '../js/hero-timeline.js';
+import { ticker } from '../js/ticker.js';
+
+const HERO = `
+  <div class="hero" id="home">
+    <video id="heroVideo" data-timeline="hero-timeline.json"></video>
+    <div id="gotStuckText">Got stuck?</div>
+    <div id="fixItText">Let's fix it</div>
+    <a href="#workRoadmap" class="hero-arrow">Down</a>
+  </div>`;
+
+const TIMELINE = {
+  captions: [
+    { target: 'gotStuckText', start: 2, end: 4, enter: { effect: 'fadeInText', duration: 0.5 }, exit: { effect: 'fadeOutText', duration: 0.5 } },
+    { target: 'fixItText', start: 4, end: 6, enter: { effect: 'fadeInText', duration: 0.5 }, exit: { effect: 'fadeOutRight', duration: 0.5 } },
+  ],
+};
+
+// drive the jsdom video element by hand
+function setVideo(video, { time, paused }, event) {
+  if (time !== undefined) Object.defineProperty(video, 'currentTime', { value: time, configurable: true });
+  if (paused !== undefined) Object.defineProperty(video, 'paused', { value: paused, configurable: true });
+  if (event) video.dispatchEvent(new Event(event));
+}
+
+const el = (id) => document.getElementById(id);
+
+describe('cuePhase', () => {
+  const cue = TIMELINE.captions[0];
+
+  it('splits a cue into enter, shown and exit', () => {
+    assert.deepEqual(cuePhase(cue, 1.9), { phase: 'hidden', offset: 0 });
+    assert.deepEqual(cuePhase(cue, 2.25), { phase: 'enter', offset: 0.25 });
+    assert.deepEqual(cuePhase(cue, 3), { phase: 'shown', offset: 0.5 });
+    assert.deepEqual(cuePhase(cue, 3.75), { phase: 'exit', offset: 0.25 });
+    assert.deepEqual(cuePhase(cue, 4), { phase: 'hidden', offset: 0 });
+  });
+
+  it('drops cues without a target or a valid range', () => {
+    mock.method(console, 'warn', () => {});
+    const cues = normalizeCues([{ target: 'a', start: 1, end: 2 }, { start: 1, end: 2 }, { target: 'b', start: 3, end: 2 }]);
+    assert.deepEqual(
+      cues.map((c) => c.target),
+      ['a']
+    );
+    console.warn.mock.restore();
+  });
+});
+
+describe('createHeroTimeline', () => {
+  let video;
+  let rafs;
+  let timeline;
+
+  beforeEach(() => {
+    rafs = installFakeRaf();
+    setBody(HERO);
+    video = el('heroVideo');
+  });
+
+  afterEach(() => {
+    timeline.destroy();
+    ticker.stop();
+    rafs.restore();
+  });
+
+  it('follows the playhead while playing', () => {
+    setVideo(video, { time: 0, paused: false });
+    timeline = createHeroTimeline(video, TIMELINE.captions);
+    assert.equal(el('gotStuckText').style.opacity, '0');
+
+    setVideo(video, { time: 2.2 });
+    rafs.frame();
+    assert.match(el('gotStuckText').style.animation, /fadeInText 0\.5s -0\.2\d*s forwards running/);
+
+    setVideo(video, { time: 3 });
+    rafs.frame();
+    assert.equal(el('gotStuckText').style.opacity, '1');
+
+    setVideo(video, { time: 4.1 });
+    rafs.frame();
+    assert.equal(el('gotStuckText').style.opacity, '0');
+    assert.match(el('fixItText').style.animation, /fadeInText/);
+
+    setVideo(video, { time: 5.8 });
+    rafs.frame();
+    assert.match(el('fixItText').style.animation, /fadeOutRight/);
+  });
+
+  it('resets when the video loops back to the start', () => {
+    setVideo(video, { time: 3, paused: false });
+    timeline = createHeroTimeline(video, TIMELINE.captions);
+    assert.equal(el('gotStuckText').style.opacity, '1');
+
+    setVideo(video, { time: 0.1 });
+    rafs.frame();
+    assert.equal(el('gotStuckText').style.opacity, '0');
+    assert.equal(el('gotStuckText').style.animation, 'none');
+  });
+
+  it('pauses effects with the video and stops ticking', () => {
+    setVideo(video, { time: 2.1, paused: false });
+    timeline = createHeroTimeline(video, TIMELINE.captions);
+    assert.equal(rafs.pending, 1);
+
+    setVideo(video, { paused: true }, 'pause');
+    assert.match(el('gotStuckText').style.animation, /paused/);
+    assert.equal(ticker.running, false);
+
+    setVideo(video, { paused: false }, 'play');
+    assert.match(el('gotStuckText').style.animation, /running/);
+    assert.equal(ticker.running, true);
+  });
+
+  it('jumps straight to the right state after a seek', () => {
+    setVideo(video, { time: 0, paused: true });
+    timeline = createHeroTimeline(video, TIMELINE.captions);
+
+    setVideo(video, { time: 5.75 }, 'seeked');
+    assert.equal(el('gotStuckText').style.opacity, '0');
+    assert.match(el('fixItText').style.animation, /fadeOutRight 0\.5s -0\.25s forwards paused/);
+  });
+
+  it('runs no timers after destroy', () => {
+    setVideo(video, { time: 3, paused: false });
+    timeline = createHeroTimeline(video, TIMELINE.captions);
+    timeline.destroy();
+    assert.equal(ticker.running, false);
+    setVideo(video, { time: 2.2 }, 'timeupdate');
+    assert.equal(el('gotStuckText').style.animation, 'none');
+  });
+});
+
+// stand-in media methods: jsdom does not implement playback
+function stubPlayback(video, { playFails = false } = {}) {
+  setVideo(video, { time: 0, paused: true });
+  video.load = mock.fn();
+  video.play = mock.fn(() => {
+    if (playFails) return Promise.reject(new Error('NotAllowedError'));
+    setVideo(video, { paused: false }, 'play');
+    return Promise.resolve();
+  });
+  video.pause = mock.fn(() => setVideo(video, { paused: true }, 'pause'));
+}
+
+describe('initHeroModule', () => {
+  let pager;
+  let video;
+  const hero = () => document.querySelector('.hero');
+  const toggle = () => el('heroVideoToggle');
+  let rafs;
+
+  beforeEach(() => {
+    rafs = installFakeRaf();
+    setBody(HERO.replace('<video', '<video data-src="car.mp4"').replace(
+      '</video>',
+      '</video><button id="heroVideoToggle" aria-pressed="false"><i class="fas fa-pause"></i></button>'
+    ));
+    video = el('heroVideo');
+    stubPlayback(video);
+    pager = { goTo: mock.fn(() => true), next: mock.fn() };
+    globalThis.fetch = mock.fn(() => Promise.resolve(jsonResponse(TIMELINE)));
+  });
+
+  afterEach(async () => {
+    await flush(); // let the timeline load before stopping the ticker
+    setReducedMotion(false); // earlier heroes still listen to it
+    ticker.stop();
+    rafs.restore();
+    delete globalThis.fetch;
+    delete navigator.connection;
+  });
+
+  it('loads the video and the timeline named by data-timeline', async () => {
+    initHeroModule({ pager });
+    await flush();
+    assert.equal(video.getAttribute('src'), 'car.mp4');
+    assert.equal(video.play.mock.callCount(), 1);
+    assert.equal(globalThis.fetch.mock.calls[0].arguments[0], 'hero-timeline.json');
+    assert.equal(hero().classList.contains('hero--static'), false);
+
+    setVideo(video, { time: 3 }, 'seeked');
+    assert.equal(el('gotStuckText').style.opacity, '1');
+    assert.equal(el('fixItText').style.opacity, '0');
+  });
+
+  it('pauses and resumes from the toggle', () => {
+    initHeroModule({ pager });
+    assert.equal(toggle().getAttribute('aria-pressed'), 'false');
+
+    toggle().click();
+    assert.equal(video.pause.mock.callCount(), 1);
+    assert.equal(toggle().getAttribute('aria-pressed'), 'true');
+    assert.equal(toggle().querySelector('i').className, 'fas fa-play');
+
+    toggle().click();
+    assert.equal(video.play.mock.callCount(), 2);
+    assert.equal(toggle().getAttribute('aria-pressed'), 'false');
+    assert.equal(toggle().querySelector('i').className, 'fas fa-pause');
+  });
+
+  it('skips the download in data-saver mode or on slow connections', () => {
+    assert.equal(prefersLessData({ effectiveType: '2g' }), true);
+    assert.equal(prefersLessData({ effectiveType: '4g' }), false);
+    assert.equal(prefersLessData(undefined), false);
+
+    Object.defineProperty(navigator, 'connection', { value: { saveData: true }, configurable: true });
+    initHeroModule({ pager });
+    assert.equal(video.getAttribute('src'), null);
+    assert.equal(video.play.mock.callCount(), 0);
+    assert.ok(hero().classList.contains('hero--static'));
+    assert.equal(toggle().getAttribute('aria-pressed'), 'true');
+
+    // opting in from the toggle loads and plays it
+    toggle().click();
+    assert.equal(video.getAttribute('src'), 'car.mp4');
+    assert.equal(video.play.mock.callCount(), 1);
+    assert.equal(hero().classList.contains('hero--static'), false);
+  });
+
+  it('stays paused with static captions for reduced-motion users', () => {
+    setReducedMotion(true);
+    initHeroModule({ pager });
+    assert.equal(video.play.mock.callCount(), 0);
+    assert.ok(hero().classList.contains('hero--static'));
+
+    // turning reduced motion off resumes the automatic pause
+    setReducedMotion(false);
+    assert.equal(video.play.mock.callCount(), 1);
+    assert.equal(hero().classList.contains('hero--static'), false);
+
+    setReducedMotion(true);
+    assert.equal(video.pause.mock.callCount(), 1);
+    assert.ok(hero().classList.contains('hero--static'));
+  });
+
+  it('keeps the static hero when autoplay is refused', async () => {
+    stubPlayback(video, { playFails: true });
+    initHeroModule({ pager });
+    await flush();
+    assert.ok(hero().classList.contains('hero--static'));
+  });
+
+  it('falls back to the static hero when the video fails', () => {
+    mock.method(console, 'warn', () => {});
+    initHeroModule({ pager });
+    video.dispatchEvent(new Event('error'));
+    assert.ok(hero().classList.contains('hero--no-video'));
+    assert.ok(hero().classList.contains('hero--static'));
+    assert.equal(toggle().hidden, true);
+    assert.match(console.warn.mock.calls[0].arguments[0], /\[hero\] could not play car\.mp4/);
+    console.warn.mock.restore();
+  });
+
+  it('pages to the roadmap from the down arrow', () => {
+    initHeroModule({ pager });
+    document.querySelector('.hero-arrow').click();
+    assert.deepEqual(pager.goTo.mock.calls[0].arguments, ['workRoadmap']);
+  });
+});
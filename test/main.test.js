@@ -0,0 +1,60 @@
+import { advance, flush, jsonResponse, setBody } from './helpers/dom.js';
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+const root = new URL('../', import.meta.url);
+const read = (file) => readFileSync(new URL(file, root), 'utf8');
+
+// boots every module against the real page markup and content files
+describe('main.js boot', () => {
+  const errors = [];
+  const onError = (e) => errors.push(e.error || e.message);
+
+  before(async () => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    mock.method(console, 'warn', () => {});
+    window.addEventListener('error', onError);
+    setBody(/<body[^>]*>([\s\S]*)<\/body>/.exec(read('index.html'))[1]);
+    globalThis.fetch = mock.fn((src) => Promise.resolve(jsonResponse(JSON.parse(read(src)))));
+    await import('../js/main.js');
+    await flush();
+    await flush();
+  });
+
+  after(() => {
+    window.dispatchEvent(new Event('pagehide'));
+    window.removeEventListener('error', onError);
+    mock.timers.reset();
+    delete globalThis.fetch;
+  });
+
+  it('boots without errors', () => {
+    advance(3000, 50);
+    assert.deepEqual(errors, []);
+  });
+
+  it('renders roadmap pins, skills, tools and project cards from the content files', () => {
+    assert.equal(document.querySelectorAll('#skillGroups .skill').length, JSON.parse(read('skills.json')).skills.length);
+    assert.equal(document.querySelectorAll('#toolsContainer .tool-card').length, JSON.parse(read('tools.json')).tools.length);
+    assert.equal(document.querySelectorAll('#roadPins .pin').length, JSON.parse(read('roadmap.json')).length);
+    assert.equal(
+      document.querySelectorAll('#projectsContainer .project-card').length,
+      JSON.parse(read('projects.json')).projects.length
+    );
+  });
+
+  it('loads stylesheets and tool icons from local files', () => {
+    const head = /<head>([\s\S]*)<\/head>/.exec(read('index.html'))[1];
+    const sheets = [...head.matchAll(/<link[^>]*rel="stylesheet"[^>]*href="([^"]+)"/g)].map((m) => m[1]);
+    const icons = JSON.parse(read('tools.json')).tools.map((tool) => tool.icon);
+    assert.ok(sheets.length);
+    [...sheets, ...icons].forEach((file) => assert.doesNotThrow(() => read(file), `${file} is not a local file`));
+  });
+
+  it('adds an up arrow to every section', () => {
+    document.querySelectorAll('section').forEach((section) => {
+      assert.ok(section.querySelector('.goto-arrow'), `missing arrow in #${section.id}`);
+    });
+  });
+});
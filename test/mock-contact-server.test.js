@@ -0,0 +1,128 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { CONTACT_TRANSPORTS, createContactTransport } from '../js/contact-transports.js';
+
+const SERVER = fileURLToPath(new URL('../tools/mock-contact-server.js', import.meta.url));
+
+// starts the mock server on a free port; resolves { child, origin }
+function startServer(args = []) {
+  const child = spawn(process.execPath, [SERVER, '--port', '0', ...args], { stdio: ['ignore', 'pipe', 'inherit'] });
+  return new Promise((resolve, reject) => {
+    let out = '';
+    child.stdout.on('data', (chunk) => {
+      out += chunk;
+      const match = /http:\/\/localhost:(\d+)/.exec(out);
+      if (match) resolve({ child, origin: `http://localhost:${match[1]}` });
+    });
+    child.on('exit', (code) => reject(new Error(`mock server exited with ${code}`)));
+  });
+}
+
+// just what createContactTransport reads from a <form>
+const form = (action, dataset = {}) => ({ action, dataset, getAttribute: () => 'post' });
+
+describe('tools/mock-contact-server.js', () => {
+  let server;
+  let origin;
+  const api = (path, init) => fetch(`${origin}${path}`, init).then((res) => res.json().then((body) => ({ status: res.status, body })));
+  const lastSubmission = () => api('/mock/submissions').then(({ body }) => body[body.length - 1]);
+
+  before(async () => {
+    server = await startServer();
+    origin = server.origin;
+  });
+
+  after(() => server.child.kill());
+
+  beforeEach(async () => {
+    await api('/mock/submissions', { method: 'DELETE' });
+    await api('/mock/behavior', { method: 'POST', body: '{}' });
+  });
+
+  it('records formspree submissions sent by the formspree adapter', async () => {
+    const transport = CONTACT_TRANSPORTS.formspree(`${origin}/mock/formspree`, { method: 'POST', timeout: 2000 });
+    const res = await transport.send({ name: 'Ada', email: 'ada@example.test', message: 'Hi' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { ok: true, id: 1 });
+
+    const record = await lastSubmission();
+    assert.equal(record.kind, 'formspree');
+    assert.deepEqual(record.fields, { name: 'Ada', email: 'ada@example.test', message: 'Hi' });
+  });
+
+  it('records JSON bodies sent by the webhook adapter', async () => {
+    const transport = CONTACT_TRANSPORTS.webhook(`${origin}/mock/webhook`, { timeout: 2000 });
+    const res = await transport.send({ name: 'Ada', message: 'Hi' });
+    assert.equal(res.ok, true);
+
+    const record = await lastSubmission();
+    assert.equal(record.kind, 'webhook');
+    assert.equal(record.fields.name, 'Ada');
+    assert.ok(record.fields.sentAt);
+  });
+
+  it('fails the next requests as told by /mock/behavior', async () => {
+    const { body } = await api('/mock/behavior', { method: 'POST', body: JSON.stringify({ status: 503, times: 1 }) });
+    assert.deepEqual(body, { status: 503, delay: 0, times: '1' });
+
+    const transport = CONTACT_TRANSPORTS.webhook(`${origin}/mock/webhook`, { timeout: 2000 });
+    assert.equal((await transport.send({ name: 'Ada' })).status, 503);
+    assert.equal((await transport.send({ name: 'Ada' })).status, 200); // back to the default
+    assert.deepEqual((await api('/mock/behavior')).body, { status: 200, delay: 0, times: 'Infinity' });
+  });
+
+  it('takes ?status= for a one-off failure', async () => {
+    const transport = CONTACT_TRANSPORTS.formspree(`${origin}/mock/formspree?status=422`, { method: 'POST', timeout: 2000 });
+    const res = await transport.send({ name: 'Ada' });
+    assert.equal(res.status, 422);
+    assert.deepEqual(await res.json(), { errors: [{ message: 'Mock error 422' }] });
+    assert.equal((await lastSubmission()).status, 422);
+  });
+
+  it('lets a slow reply time the transport out', async () => {
+    const transport = createContactTransport(form(`${origin}/mock/webhook?delay=1000`, { transport: 'webhook', timeout: '100' }));
+    await assert.rejects(transport.send({ name: 'Ada' }), { name: 'TimeoutError' });
+  });
+
+  it('answers unknown mock routes and malformed bodies with errors', async () => {
+    assert.equal((await api('/mock/nothing')).status, 404);
+    const malformed = await api('/mock/webhook', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' });
+    assert.equal(malformed.status, 400);
+    assert.deepEqual((await api('/mock/submissions')).body, []);
+  });
+
+  it('answers a malformed path with 400 and keeps running', async () => {
+    assert.equal((await fetch(`${origin}/%E0`)).status, 400);
+    assert.equal(server.child.exitCode, null);
+    assert.equal((await api('/mock/submissions')).status, 200);
+  });
+
+  it('points the served contact form at the mock', async () => {
+    const html = await fetch(`${origin}/`).then((res) => res.text());
+    assert.match(html, /<form[^>]*class="contact-form"[^>]*action="\/mock\/formspree" data-transport="formspree">/);
+  });
+});
+
+describe('createContactTransport', () => {
+  it('hands mailto messages to the mail app without the network', async () => {
+    globalThis.window = { location: { href: '' } };
+    const transport = createContactTransport(form('', { transport: 'mailto', mailto: 'me@example.test' }));
+    assert.equal(transport.queueable, false);
+    assert.deepEqual(await transport.send({ name: 'Ada', email: 'ada@example.test', message: 'Hi' }), { ok: true, status: 0 });
+    assert.equal(
+      window.location.href,
+      `mailto:me@example.test?subject=${encodeURIComponent('Portfolio message from Ada')}&body=${encodeURIComponent('Hi\n\nAda <ada@example.test>')}`
+    );
+    delete globalThis.window;
+  });
+
+  it('falls back to formspree for an unknown transport', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const transport = createContactTransport(form('https://example.test/f', { transport: 'carrier-pigeon' }));
+    assert.equal(transport.name, 'formspree');
+    assert.match(warn.mock.calls[0].arguments[0], /unknown transport "carrier-pigeon"/);
+    warn.mock.restore();
+  });
+});
@@ -0,0 +1,73 @@
+import { setBody } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initOfflineModule, registerServiceWorker } from '../js/offline.js';
+
+const INDICATOR = `
+  <p class="offline-indicator" id="offlineIndicator" role="status">
+    <span class="offline-indicator-text"></span>
+  </p>`;
+
+describe('initOfflineModule', () => {
+  let online;
+  const indicator = () => document.getElementById('offlineIndicator');
+  const goOnline = (value) => {
+    online = value;
+    window.dispatchEvent(new Event(value ? 'online' : 'offline'));
+  };
+
+  beforeEach(() => {
+    online = true;
+    Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online });
+    setBody(INDICATOR);
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    delete navigator.onLine;
+    document.documentElement.classList.remove('is-offline');
+    console.warn.mock.restore();
+  });
+
+  it('shows the indicator while the connection is down', async () => {
+    await initOfflineModule({ serviceWorker: null });
+    assert.ok(!indicator().classList.contains('is-visible'));
+    assert.equal(indicator().textContent.trim(), '');
+
+    goOnline(false);
+    assert.ok(indicator().classList.contains('is-visible'));
+    assert.ok(document.documentElement.classList.contains('is-offline'));
+    assert.match(indicator().textContent, /You’re offline/);
+
+    goOnline(true);
+    assert.ok(!indicator().classList.contains('is-visible'));
+    assert.equal(indicator().textContent.trim(), '');
+  });
+
+  it('starts in the offline state when the page loads without a connection', async () => {
+    online = false;
+    await initOfflineModule({ serviceWorker: null });
+    assert.ok(indicator().classList.contains('is-visible'));
+  });
+
+  it('registers sw.js', async () => {
+    const registration = { scope: '/' };
+    const serviceWorker = { register: mock.fn(() => Promise.resolve(registration)) };
+    assert.equal(await initOfflineModule({ serviceWorker }), registration);
+    assert.deepEqual(serviceWorker.register.mock.calls[0].arguments, ['sw.js']);
+  });
+});
+
+describe('registerServiceWorker', () => {
+  it('resolves null where service workers are unavailable', async () => {
+    assert.equal(await registerServiceWorker(undefined), null);
+  });
+
+  it('warns and resolves null when registration fails', async () => {
+    mock.method(console, 'warn', () => {});
+    const serviceWorker = { register: () => Promise.reject(new Error('insecure origin')) };
+    assert.equal(await registerServiceWorker(serviceWorker), null);
+    assert.match(console.warn.mock.calls[0].arguments[0], /\[offline\] could not register the service worker/);
+    console.warn.mock.restore();
+  });
+});
@@ -0,0 +1,166 @@
+import { advance, setBody } from './helpers/dom.js';
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSectionPager } from '../js/pager.js';
+
+const PAGE = `
+  <header class="hero" id="home"><button id="cta">Say hi</button></header>
+  <section id="about"><div id="scroller" style="overflow-y: auto"><p>Long text</p></div></section>
+  <section id="projects"></section>
+  <section id="contact"><textarea id="message"></textarea></section>`;
+
+// stand-in for createSectionRouter: records go() and lets tests fire onChange
+function fakeRouter() {
+  const listeners = [];
+  return {
+    current: 'home',
+    go: mock.fn(() => true),
+    onChange: (fn) => listeners.push(fn),
+    emit: (id) => listeners.forEach((fn) => fn(id)),
+  };
+}
+
+const wheel = (deltaY, target = document.body, init = {}) => {
+  const event = new window.WheelEvent('wheel', { deltaY, bubbles: true, cancelable: true, ...init });
+  target.dispatchEvent(event);
+  return event;
+};
+
+const key = (k, target = document.body, init = {}) => {
+  const event = new KeyboardEvent('keydown', { key: k, bubbles: true, cancelable: true, ...init });
+  target.dispatchEvent(event);
+  return event;
+};
+
+const touch = (type, clientY, target = document.body) => {
+  const event = new Event(type, { bubbles: true });
+  const point = [{ clientX: 0, clientY }];
+  event.touches = type === 'touchend' ? [] : point;
+  event.changedTouches = point;
+  target.dispatchEvent(event);
+};
+
+// the pager listens on window for good (and a second one would see the first
+// one's preventDefault), so one instance serves every test from the top page
+describe('createSectionPager', () => {
+  const router = fakeRouter();
+  let pager;
+  const gone = () => router.go.mock.calls.map((c) => c.arguments);
+
+  before(() => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    setBody(PAGE);
+    pager = createSectionPager(router);
+    pager.start();
+  });
+
+  after(() => mock.timers.reset());
+
+  beforeEach(() => {
+    router.emit('home');
+    router.go.mock.resetCalls();
+  });
+
+  afterEach(() => {
+    advance(500, 50); // let the last wheel gesture end
+    document.querySelectorAll('dialog').forEach((d) => d.remove());
+  });
+
+  it('starts on the routed section', () => {
+    assert.equal(pager.current, 'home');
+  });
+
+  it('pages once per wheel gesture, replacing history', () => {
+    assert.equal(wheel(10).defaultPrevented, true);
+    assert.deepEqual(gone(), []); // below the threshold
+
+    wheel(25);
+    wheel(80); // same gesture
+    assert.deepEqual(gone(), [['about', { replace: true }]]);
+
+    advance(200, 20); // gesture over
+    wheel(-40);
+    assert.deepEqual(gone()[1], ['home', { replace: true }]);
+    assert.equal(pager.current, 'home');
+  });
+
+  it('leaves pinch-zoom and horizontal wheels alone', () => {
+    assert.equal(wheel(100, document.body, { ctrlKey: true }).defaultPrevented, false);
+    assert.equal(wheel(40, document.body, { deltaX: 200 }).defaultPrevented, false);
+    assert.deepEqual(gone(), []);
+  });
+
+  it('lets an inner scroller scroll before paging', () => {
+    const scroller = document.getElementById('scroller');
+    Object.defineProperties(scroller, {
+      scrollHeight: { value: 500, configurable: true },
+      clientHeight: { value: 100, configurable: true },
+    });
+    assert.equal(wheel(60, scroller).defaultPrevented, false);
+    assert.deepEqual(gone(), []);
+
+    scroller.scrollTop = 400; // at the bottom: the page moves on
+    wheel(60, scroller);
+    assert.deepEqual(gone(), [['about', { replace: true }]]);
+    delete scroller.scrollHeight;
+    delete scroller.clientHeight;
+  });
+
+  it('pages with the keyboard', () => {
+    assert.equal(key('ArrowDown').defaultPrevented, true);
+    key('PageDown');
+    key('PageUp');
+    key('End');
+    key('Home');
+    key(' ', document.body, { shiftKey: true });
+    assert.deepEqual(gone(), [
+      ['about', { replace: true }],
+      ['projects', { replace: true }],
+      ['about', { replace: true }],
+      ['contact'],
+      ['home'],
+    ]);
+    assert.equal(key('x').defaultPrevented, false);
+  });
+
+  it('lets Space press a focused control and typing stay in form fields', () => {
+    assert.equal(key(' ', document.getElementById('cta')).defaultPrevented, false);
+    assert.equal(key('ArrowDown', document.getElementById('message')).defaultPrevented, false);
+    assert.equal(key('ArrowDown', document.body, { ctrlKey: true }).defaultPrevented, false);
+    assert.deepEqual(gone(), []);
+  });
+
+  it('pages on a quick vertical swipe', () => {
+    touch('touchstart', 400);
+    touch('touchend', 300);
+    assert.deepEqual(gone(), [['about', { replace: true }]]);
+
+    touch('touchstart', 300);
+    touch('touchend', 280); // too short
+    touch('touchstart', 300, document.getElementById('message'));
+    touch('touchend', 100, document.getElementById('message'));
+    assert.equal(gone().length, 1);
+
+    touch('touchstart', 100);
+    touch('touchend', 300);
+    assert.deepEqual(gone()[1], ['home', { replace: true }]);
+  });
+
+  it('stays put while a modal dialog is open', () => {
+    document.body.insertAdjacentHTML('beforeend', '<dialog open></dialog>');
+    assert.equal(wheel(100).defaultPrevented, false);
+    assert.equal(key('ArrowDown').defaultPrevented, false);
+    touch('touchstart', 400);
+    touch('touchend', 100);
+    assert.deepEqual(gone(), []);
+  });
+
+  it('follows sections reached through the router', () => {
+    router.emit('projects');
+    assert.equal(pager.current, 'projects');
+    key('ArrowDown');
+    assert.deepEqual(gone(), [['contact', { replace: true }]]);
+    key('ArrowDown'); // already on the last page
+    assert.equal(gone().length, 1);
+  });
+});
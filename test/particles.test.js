@@ -0,0 +1,249 @@
+import { setBody, setReducedMotion } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createParticleScene } from '../js/particles-scene.js';
+import { initParticlesModule } from '../js/particles.js';
+import { ticker } from '../js/ticker.js';
+
+// 2D context stub; records fill colours
+function fakeContext() {
+  const fills = [];
+  return {
+    fills,
+    clearRect: mock.fn(),
+    beginPath() {},
+    arc() {},
+    fill() {
+      fills.push(this.fillStyle);
+    },
+    save() {},
+    restore() {},
+    translate() {},
+    fillText() {},
+  };
+}
+
+describe('createParticleScene', () => {
+  it('scales particle counts with quality', () => {
+    const scene = createParticleScene(fakeContext(), { width: 400, height: 300 });
+    assert.equal(scene.particles.length, 65);
+    scene.setQuality(0.35);
+    assert.equal(scene.particles.length, 21 + 2);
+  });
+
+  it('keeps particles in place relative to the canvas on resize', () => {
+    const scene = createParticleScene(fakeContext(), { width: 400, height: 300 });
+    const before = scene.particles.map((p) => ({ p, x: p.x, y: p.y }));
+    scene.resize(800, 150);
+    before.forEach(({ p, x, y }) => {
+      assert.equal(p.x, x * 2);
+      assert.equal(p.y, y / 2);
+    });
+  });
+
+  it('pushes particles away from the pointer', () => {
+    const scene = createParticleScene(fakeContext(), { width: 400, height: 300 });
+    const p = scene.particles[0];
+    Object.assign(p, { x: 200, y: 150, speedY: 0 });
+    scene.setPointer(180, 150);
+    scene.step(1000 / 60);
+    assert.ok(p.x > 200, 'moved away on x');
+
+    scene.setPointer(null, null);
+    const x = p.x;
+    for (let i = 0; i < 120; i++) scene.step(1000 / 60);
+    assert.ok(p.x - x < 20, 'push decays once the pointer leaves');
+  });
+
+  it('reports and handles clicks on cars', () => {
+    const scene = createParticleScene(fakeContext(), { width: 400, height: 300 });
+    const [car, ...others] = scene.cars;
+    Object.assign(car, { x: 100, y: 100, size: 20 });
+    others.forEach((other) => Object.assign(other, { x: -100, y: -100 })); // clear of the probe points
+    assert.equal(scene.setPointer(110, 90), true);
+    assert.equal(scene.setPointer(300, 290), false);
+
+    assert.equal(scene.clickAt(300, 290), false);
+    assert.equal(scene.clickAt(110, 90), true);
+    assert.notEqual(car.icon, '🚗');
+    assert.ok(car.spin > 0);
+    assert.ok(car.vy < 0, 'zooms off');
+  });
+
+  it('gathers the cars into a ring on "sent", then bursts them outward', () => {
+    const scene = createParticleScene(fakeContext(), { width: 400, height: 400 });
+    scene.burst('sent');
+    for (let i = 0; i < 60; i++) scene.step(1000 / 60); // 1 s: gathered
+    scene.cars.forEach((car) => {
+      const r = Math.hypot(car.x - 200, car.y - 200);
+      assert.ok(Math.abs(r - 102) < 3, `car on the ring (r=${r})`);
+    });
+    for (let i = 0; i < 30; i++) scene.step(1000 / 60);
+    scene.cars.forEach((car) => assert.ok(Math.hypot(car.x - 200, car.y - 200) > 110, 'burst outward'));
+  });
+
+  it('scatters everything away from the centre on failure', () => {
+    const scene = createParticleScene(fakeContext(), { width: 400, height: 400 });
+    const car = scene.cars[0];
+    Object.assign(car, { x: 300, y: 200 });
+    scene.burst('scatter');
+    assert.ok(car.vx > 0);
+  });
+
+  it('moves by elapsed time, not by frame count', () => {
+    const scene = createParticleScene(fakeContext(), { width: 400, height: 4000 });
+    const p = scene.particles[0];
+    const y = p.y;
+    scene.step(1000 / 60);
+    const perFrame = y - p.y;
+    const y2 = p.y;
+    scene.step(1000 / 120); // half a 60 Hz frame
+    assert.ok(Math.abs((y2 - p.y) - perFrame / 2) < 1e-9);
+  });
+});
+
+describe('initParticlesModule with OffscreenCanvas', () => {
+  let workers;
+  let canvas;
+
+  class FakeWorker {
+    constructor(url, options) {
+      this.url = String(url);
+      this.options = options;
+      this.messages = [];
+      this.listeners = [];
+      this.terminate = mock.fn();
+      workers.push(this);
+    }
+    postMessage(message, transfer) {
+      this.messages.push({ message, transfer });
+    }
+    addEventListener(type, fn) {
+      this.listeners.push({ type, fn });
+    }
+    // simulate a worker script that failed to load
+    fail() {
+      const event = { message: 'load failed', preventDefault: mock.fn() };
+      this.listeners.filter((l) => l.type === 'error').forEach((l) => l.fn(event));
+      return event;
+    }
+  }
+
+  beforeEach(() => {
+    workers = [];
+    globalThis.Worker = FakeWorker;
+    setBody('<section><canvas id="particlesCanvas"></canvas></section>');
+    canvas = document.getElementById('particlesCanvas');
+    canvas.transferControlToOffscreen = () => ({ offscreen: true });
+  });
+
+  afterEach(() => {
+    window.dispatchEvent(new Event('pagehide'));
+    ticker.stop();
+    delete globalThis.Worker;
+    setReducedMotion(false);
+  });
+
+  const sent = (type) => workers[0].messages.map((m) => m.message).filter((m) => m.type === type);
+
+  it('hands the canvas to a module worker', () => {
+    initParticlesModule();
+    assert.equal(workers.length, 1);
+    assert.match(workers[0].url, /particles-worker\.js$/);
+    assert.equal(workers[0].options.type, 'module');
+
+    const [{ message, transfer }] = workers[0].messages;
+    assert.equal(message.type, 'init');
+    assert.deepEqual(transfer, [message.canvas]);
+    assert.equal(message.running, true);
+    assert.ok(message.width > 0 && message.height > 0);
+  });
+
+  it('forwards resizes, visibility and reduced motion to the worker', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    initParticlesModule();
+
+    window.dispatchEvent(new Event('resize'));
+    mock.timers.tick(100);
+    assert.equal(sent('resize').length, 1);
+
+    setReducedMotion(true);
+    assert.deepEqual(sent('run').at(-1), { type: 'run', running: false });
+    setReducedMotion(false);
+    assert.deepEqual(sent('run').at(-1), { type: 'run', running: true });
+    mock.timers.reset();
+  });
+
+  it('sends pointer moves and form bursts to the worker and shows a hand over cars', () => {
+    initParticlesModule();
+    const section = canvas.parentElement;
+
+    section.dispatchEvent(new MouseEvent('pointerdown', { clientX: 40, clientY: 30 }));
+    assert.deepEqual(sent('pointer').at(-1), { type: 'pointer', x: 40, y: 30 });
+    section.dispatchEvent(new MouseEvent('pointerleave'));
+    assert.deepEqual(sent('pointer').at(-1), { type: 'pointer', x: null, y: null });
+
+    section.dispatchEvent(new MouseEvent('click', { clientX: 5, clientY: 6, bubbles: true }));
+    assert.deepEqual(sent('click'), [{ type: 'click', x: 5, y: 6 }]);
+
+    const form = document.createElement('form');
+    section.appendChild(form);
+    form.dispatchEvent(new CustomEvent('contactstatus', { bubbles: true, detail: { state: 'sent' } }));
+    form.dispatchEvent(new CustomEvent('contactstatus', { bubbles: true, detail: { state: 'timeout' } }));
+    form.dispatchEvent(new CustomEvent('contactstatus', { bubbles: true, detail: { state: 'sending' } }));
+    assert.deepEqual(
+      sent('burst').map((m) => m.kind),
+      ['sent', 'scatter']
+    );
+
+    workers[0].listeners.find((l) => l.type === 'message').fn({ data: { type: 'hover', car: true } });
+    assert.ok(section.classList.contains('car-hover'));
+  });
+
+  it('falls back to the main thread on a fresh canvas when the worker fails', () => {
+    mock.method(console, 'warn', () => {});
+    const ctx = fakeContext();
+    mock.method(window.HTMLCanvasElement.prototype, 'getContext', () => ctx);
+    initParticlesModule();
+
+    const error = workers[0].fail();
+
+    assert.equal(error.preventDefault.mock.callCount(), 1);
+    assert.equal(workers[0].terminate.mock.callCount(), 1);
+    assert.notEqual(document.getElementById('particlesCanvas'), canvas);
+    assert.ok(ctx.clearRect.mock.callCount() > 0);
+    window.HTMLCanvasElement.prototype.getContext.mock.restore();
+  });
+
+  it('keeps resizing the fallback canvas after the worker fails', () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    mock.method(console, 'warn', () => {});
+    mock.method(window.HTMLCanvasElement.prototype, 'getContext', () => fakeContext());
+    const observers = [];
+    window.ResizeObserver = globalThis.ResizeObserver = class {
+      constructor(callback) {
+        this.callback = callback;
+        observers.push(this);
+      }
+      observe(el) {
+        this.target = el;
+      }
+    };
+    initParticlesModule();
+    workers[0].fail();
+
+    const fresh = document.getElementById('particlesCanvas');
+    assert.ok(observers[0].target.contains(fresh));
+    Object.defineProperty(fresh, 'offsetWidth', { configurable: true, value: 321 });
+    Object.defineProperty(fresh, 'offsetHeight', { configurable: true, value: 123 });
+    observers[0].callback([]);
+    mock.timers.tick(100);
+    assert.equal(fresh.width, 321);
+    assert.equal(fresh.height, 123);
+
+    delete window.ResizeObserver;
+    delete globalThis.ResizeObserver;
+    window.HTMLCanvasElement.prototype.getContext.mock.restore();
+    mock.timers.reset();
+  });
+});
@@ -0,0 +1,141 @@
+import { jsonResponse, setBody } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initProjectCatalog } from '../js/project-catalog.js';
+
+const PROJECTS = {
+  projects: [
+    {
+      id: 'fitness',
+      title: 'Fitness',
+      description: 'Workout planner.',
+      tags: ['HTML', 'CSS'],
+      images: [{ src: 'project1-1.png', alt: 'Planner' }, { src: 'project1-2.png' }],
+      links: { live: 'https://fitness.example', source: 'https://github.com/x/fitness' },
+    },
+    { title: 'Todo App', tags: ['React'] },
+    { title: 'Weather', tags: ['HTML', 'Vue'] },
+    { description: 'no title' },
+  ],
+};
+
+const el = (id) => document.getElementById(id);
+const filters = () => Array.from(document.querySelectorAll('.project-filter'));
+const filter = (label) => filters().find((b) => b.textContent === label);
+
+describe('initProjectCatalog', () => {
+  let cards;
+
+  async function init(data = PROJECTS) {
+    globalThis.fetch = mock.fn(() => Promise.resolve(jsonResponse(data)));
+    const entries = await initProjectCatalog();
+    cards = Array.from(document.querySelectorAll('.project-card'));
+    return entries;
+  }
+
+  beforeEach(() => {
+    setBody(`
+      <div id="projectFilters"></div>
+      <div id="projectsContainer" data-content="projects.json"><p>Loading…</p></div>
+      <p id="projectsEmpty" hidden></p>`);
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    delete globalThis.fetch;
+    console.warn.mock.restore();
+  });
+
+  it('renders a card per titled project and resolves the entries behind them', async () => {
+    const entries = await init();
+    assert.equal(globalThis.fetch.mock.calls[0].arguments[0], 'projects.json');
+    assert.match(console.warn.mock.calls[0].arguments[0], /\[projects\] skipping project without a title/);
+    assert.deepEqual(
+      entries.map((e) => [e.project.id, e.card.dataset.project]),
+      [
+        ['fitness', 'fitness'],
+        ['todo-app', 'todo-app'],
+        ['weather', 'weather'],
+      ]
+    );
+
+    const [fitness] = cards;
+    assert.equal(fitness.querySelector('h3').textContent, 'Fitness');
+    assert.deepEqual(
+      Array.from(fitness.querySelectorAll('.project-slider img')).map((img) => [img.alt, img.className]),
+      [
+        ['Planner', 'active'],
+        ['Fitness screenshot 2', ''],
+      ]
+    );
+    assert.deepEqual(
+      Array.from(fitness.querySelectorAll('.project-tags li')).map((li) => li.textContent),
+      ['HTML', 'CSS']
+    );
+    assert.deepEqual(
+      Array.from(fitness.querySelectorAll('.project-links a')).map((a) => [a.textContent.trim(), a.rel]),
+      [
+        ['Live', 'noopener'],
+        ['Source', 'noopener'],
+      ]
+    );
+    assert.ok(fitness.querySelector('.project-details-btn'));
+    assert.equal(cards[1].querySelector('.project-links a'), null);
+  });
+
+  it('builds the filter bar from the tags in first-seen order', async () => {
+    await init();
+    assert.deepEqual(
+      filters().map((b) => [b.textContent, b.getAttribute('aria-pressed')]),
+      [
+        ['All', 'true'],
+        ['HTML', 'false'],
+        ['CSS', 'false'],
+        ['React', 'false'],
+        ['Vue', 'false'],
+      ]
+    );
+  });
+
+  it('uses the filters listed in the data when given', async () => {
+    await init({ ...PROJECTS, filters: ['React', 'Svelte'] });
+    assert.deepEqual(
+      filters().map((b) => b.textContent),
+      ['All', 'React', 'Svelte']
+    );
+  });
+
+  it('shows only the projects with the chosen tag', async () => {
+    await init();
+    filter('HTML').click();
+    assert.deepEqual(
+      cards.map((c) => c.hidden),
+      [false, true, false]
+    );
+    assert.equal(filter('HTML').getAttribute('aria-pressed'), 'true');
+    assert.equal(filter('All').getAttribute('aria-pressed'), 'false');
+    assert.equal(el('projectsEmpty').hidden, true);
+
+    filter('All').click();
+    assert.ok(cards.every((c) => !c.hidden));
+  });
+
+  it('says so when no project has the tag, and hides the message again', async () => {
+    await init({ ...PROJECTS, filters: ['Svelte'] });
+    filter('Svelte').click();
+    assert.ok(cards.every((c) => c.hidden));
+    assert.equal(el('projectsEmpty').hidden, false);
+    assert.equal(el('projectsEmpty').textContent, 'No Svelte projects yet — check back soon.');
+
+    filter('All').click();
+    assert.equal(el('projectsEmpty').hidden, true);
+  });
+
+  it('reports a failed load in the empty state', async () => {
+    globalThis.fetch = mock.fn(() => Promise.resolve(jsonResponse({}, { status: 500 })));
+    assert.deepEqual(await initProjectCatalog(), []);
+    assert.equal(el('projectsEmpty').hidden, false);
+    assert.equal(el('projectsEmpty').textContent, 'Projects could not be loaded right now.');
+    assert.match(console.warn.mock.calls[0].arguments[0], /\[projects\] could not load projects\.json/);
+  });
+});
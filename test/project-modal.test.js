@@ -0,0 +1,189 @@
+import { setBody } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initProjectModal } from '../js/project-modal.js';
+
+const MODAL = `
+  <dialog class="project-modal" id="projectModal" aria-labelledby="projectModalTitle">
+    <button type="button" class="project-modal-close" aria-label="Close project details"></button>
+    <div class="project-modal-gallery">
+      <img class="project-modal-image" src="" alt="" />
+      <div class="project-modal-thumbs"></div>
+    </div>
+    <div class="project-modal-body">
+      <h2 id="projectModalTitle"></h2>
+      <div class="project-modal-writeup"></div>
+      <ul class="project-modal-stack"></ul>
+      <div class="project-modal-links"></div>
+    </div>
+  </dialog>`;
+
+const PROJECTS = [
+  {
+    id: 'fitness',
+    title: 'Fitness',
+    writeup: ['Planner.', 'Built in a week.'],
+    stack: ['HTML', 'CSS'],
+    images: [
+      { src: 'a.png', alt: 'Planner' },
+      { src: 'b.png', alt: 'Stats' },
+    ],
+    links: { live: 'https://fitness.example', source: 'https://github.com/x/fitness' },
+  },
+  { id: 'todo', title: 'Todo', description: 'Lists.', tags: ['React'] },
+];
+
+const CARD = (id) => `
+  <div class="project-card" data-project="${id}">
+    <a class="card-live" href="https://example.test">Live</a>
+    <button type="button" class="project-details-btn">Details</button>
+  </div>`;
+
+// stand-in for createSectionRouter: go() updates the route and notifies at once
+function fakeRouter() {
+  const listeners = [];
+  const router = {
+    current: 'projects',
+    detail: null,
+    go: mock.fn((id, { detail = null } = {}) => {
+      router.current = id;
+      router.detail = detail;
+      listeners.forEach((fn) => fn(id, detail));
+      return true;
+    }),
+    onChange: (fn) => listeners.push(fn),
+  };
+  return router;
+}
+
+const key = (k, init = {}) => {
+  const event = new KeyboardEvent('keydown', { key: k, bubbles: true, cancelable: true, ...init });
+  document.activeElement.dispatchEvent(event);
+  return event;
+};
+
+describe('initProjectModal', () => {
+  let router;
+  let dialog;
+  let cards;
+
+  function init() {
+    const entries = PROJECTS.map((project) => ({ project, card: document.querySelector(`[data-project="${project.id}"]`) }));
+    initProjectModal(entries, { router });
+    cards = entries.map((e) => e.card);
+  }
+
+  beforeEach(() => {
+    setBody(`<section id="projects">${CARD('fitness')}${CARD('todo')}</section>${MODAL}`);
+    dialog = document.getElementById('projectModal');
+    router = fakeRouter();
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    document.body.classList.remove('modal-open');
+    console.warn.mock.restore();
+  });
+
+  it('opens from a card through #projects/<id>', () => {
+    init();
+    cards[0].querySelector('.project-details-btn').click();
+    assert.deepEqual(router.go.mock.calls[0].arguments, ['projects', { detail: 'fitness' }]);
+    assert.equal(dialog.open, true);
+    assert.ok(document.body.classList.contains('modal-open'));
+    assert.equal(document.activeElement, dialog.querySelector('.project-modal-close'));
+  });
+
+  it('fills in the project', () => {
+    init();
+    router.go('projects', { detail: 'fitness' });
+    assert.equal(dialog.querySelector('#projectModalTitle').textContent, 'Fitness');
+    assert.deepEqual(
+      Array.from(dialog.querySelectorAll('.project-modal-writeup p')).map((p) => p.textContent),
+      ['Planner.', 'Built in a week.']
+    );
+    assert.deepEqual(
+      Array.from(dialog.querySelectorAll('.project-modal-stack li')).map((li) => li.textContent),
+      ['HTML', 'CSS']
+    );
+    assert.equal(dialog.querySelectorAll('.project-modal-links a').length, 2);
+
+    const image = dialog.querySelector('.project-modal-image');
+    const thumbs = dialog.querySelectorAll('.project-modal-thumbs button');
+    assert.equal(image.alt, 'Planner');
+    thumbs[1].click();
+    assert.equal(image.alt, 'Stats');
+    assert.equal(thumbs[1].getAttribute('aria-current'), 'true');
+    assert.equal(thumbs[0].hasAttribute('aria-current'), false);
+
+    // one image: no thumbnails; falls back to the description and tags
+    router.go('projects', { detail: 'todo' });
+    assert.equal(dialog.querySelector('.project-modal-thumbs').hidden, true);
+    assert.equal(dialog.querySelector('.project-modal-writeup').textContent, 'Lists.');
+    assert.equal(dialog.querySelector('.project-modal-stack').textContent, 'React');
+  });
+
+  it('leaves the card’s own links alone', () => {
+    init();
+    cards[0].querySelector('.card-live').addEventListener('click', (e) => e.preventDefault());
+    cards[0].querySelector('.card-live').click();
+    assert.equal(router.go.mock.callCount(), 0);
+    assert.equal(dialog.open, false);
+  });
+
+  it('keeps Tab inside the dialog', () => {
+    init();
+    router.go('projects', { detail: 'fitness' });
+    const close = dialog.querySelector('.project-modal-close');
+    const last = Array.from(dialog.querySelectorAll('.project-modal-links a')).pop();
+
+    assert.equal(key('Tab', { shiftKey: true }).defaultPrevented, true);
+    assert.equal(document.activeElement, last);
+    assert.equal(key('Tab').defaultPrevented, true);
+    assert.equal(document.activeElement, close);
+    assert.equal(key('Tab').defaultPrevented, false); // the browser moves on inside
+  });
+
+  it('closes on Escape, returns focus to the card and clears the detail', () => {
+    init();
+    const trigger = cards[0].querySelector('.project-details-btn');
+    trigger.click();
+    key('Escape');
+    assert.equal(dialog.open, false);
+    assert.ok(!document.body.classList.contains('modal-open'));
+    assert.equal(document.activeElement, trigger);
+    assert.deepEqual(router.go.mock.calls[1].arguments, ['projects', { replace: true }]);
+    assert.equal(router.detail, null);
+  });
+
+  it('closes from the close button and the backdrop', () => {
+    init();
+    router.go('projects', { detail: 'fitness' });
+    dialog.querySelector('.project-modal-close').click();
+    assert.equal(dialog.open, false);
+
+    router.go('projects', { detail: 'todo' });
+    dialog.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    assert.equal(dialog.open, false);
+    // opened from the URL: focus goes to the project's card
+    assert.equal(document.activeElement, cards[1].querySelector('.project-details-btn'));
+  });
+
+  it('follows the URL: back closes it, an unknown id warns', () => {
+    init();
+    router.go('projects', { detail: 'fitness' });
+    router.go('about');
+    assert.equal(dialog.open, false);
+
+    router.go('projects', { detail: 'nope' });
+    assert.equal(dialog.open, false);
+    assert.match(console.warn.mock.calls[0].arguments[0], /\[projects\] no project with id "nope"/);
+  });
+
+  it('opens straight away for a shared #projects/<id> link', () => {
+    router.detail = 'todo';
+    init();
+    assert.equal(dialog.open, true);
+    assert.equal(dialog.querySelector('#projectModalTitle').textContent, 'Todo');
+  });
+});
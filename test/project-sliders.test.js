@@ -0,0 +1,157 @@
+import { FakeIntersectionObserver, advance, flush, setBody, setReducedMotion } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initProjectSliders } from '../js/project-sliders.js';
+
+const SLIDER = `
+  <div class="project-card">
+    <h3>Fitness</h3>
+    <div class="project-slider">
+      <img src="a.png" alt="A" class="active" />
+      <img src="b.png" alt="B" />
+      <img src="c.png" alt="C" />
+    </div>
+  </div>`;
+
+// index of the visible screenshot
+const activeIndex = (slider) => Array.from(slider.querySelectorAll('img')).findIndex((img) => img.classList.contains('active'));
+
+describe('initProjectSliders', () => {
+  let slider;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    FakeIntersectionObserver.instances.length = 0;
+    setBody(SLIDER);
+    slider = document.querySelector('.project-slider');
+  });
+
+  afterEach(() => {
+    window.dispatchEvent(new Event('pagehide'));
+    mock.timers.reset();
+    setReducedMotion(false);
+  });
+
+  it('adds carousel semantics and controls', () => {
+    initProjectSliders();
+    assert.equal(slider.getAttribute('aria-roledescription'), 'carousel');
+    assert.equal(slider.getAttribute('aria-label'), 'Fitness screenshots');
+    assert.equal(slider.querySelectorAll('.slider-dots button').length, 3);
+    assert.equal(slider.querySelector('.slider-dots button').getAttribute('aria-current'), 'true');
+  });
+
+  it('rotates only while visible', () => {
+    initProjectSliders();
+    advance(2500, 100);
+    assert.equal(activeIndex(slider), 0);
+
+    FakeIntersectionObserver.trigger(slider, true);
+    advance(2500, 100);
+    assert.equal(activeIndex(slider), 1);
+    advance(5000, 100);
+    assert.equal(activeIndex(slider), 0); // wraps
+
+    FakeIntersectionObserver.trigger(slider, false);
+    advance(5000, 100);
+    assert.equal(activeIndex(slider), 0);
+  });
+
+  it('pauses on hover and resumes on leave', () => {
+    initProjectSliders();
+    FakeIntersectionObserver.trigger(slider, true);
+    slider.dispatchEvent(new MouseEvent('mouseenter'));
+    advance(5000, 100);
+    assert.equal(activeIndex(slider), 0);
+
+    slider.dispatchEvent(new MouseEvent('mouseleave'));
+    advance(2500, 100);
+    assert.equal(activeIndex(slider), 1);
+  });
+
+  it('prev/next buttons move and announce politely', () => {
+    initProjectSliders();
+    const live = slider.querySelector('[aria-live]');
+    slider.querySelector('.slider-btn.prev').click();
+    assert.equal(activeIndex(slider), 2);
+    assert.equal(live.getAttribute('aria-live'), 'polite');
+    assert.equal(live.textContent, 'Screenshot 3 of 3');
+
+    slider.querySelector('.slider-btn.next').click();
+    assert.equal(activeIndex(slider), 0);
+  });
+
+  it('restarts autoplay after a swipe and keeps its steps silent', () => {
+    initProjectSliders();
+    FakeIntersectionObserver.trigger(slider, true);
+    const live = slider.querySelector('[aria-live]');
+    advance(2000, 100);
+
+    const touch = (type, clientX) => {
+      const event = new Event(type);
+      event[type === 'touchstart' ? 'touches' : 'changedTouches'] = [{ clientX, clientY: 0 }];
+      slider.dispatchEvent(event);
+    };
+    touch('touchstart', 200);
+    touch('touchend', 100);
+    assert.equal(activeIndex(slider), 1);
+    assert.equal(live.getAttribute('aria-live'), 'polite');
+    assert.equal(live.textContent, 'Screenshot 2 of 3');
+
+    advance(2000, 100); // a full interval from the swipe, not the old timer
+    assert.equal(activeIndex(slider), 1);
+
+    advance(500, 100);
+    assert.equal(activeIndex(slider), 2);
+    assert.equal(live.getAttribute('aria-live'), 'off');
+    assert.equal(live.textContent, 'Screenshot 2 of 3');
+  });
+
+  it('never autoplays for reduced-motion users', () => {
+    setReducedMotion(true);
+    initProjectSliders();
+    FakeIntersectionObserver.trigger(slider, true);
+    advance(10000, 100);
+    assert.equal(activeIndex(slider), 0);
+  });
+});
+
+describe('initProjectSliders images', () => {
+  const MANIFEST = {
+    formats: ['avif', 'webp'],
+    images: { 'a.png': { width: 1366, height: 654, widths: [360, 720, 1080] } },
+  };
+
+  beforeEach(() => setBody(SLIDER));
+  afterEach(() => window.dispatchEvent(new Event('pagehide')));
+
+  it('lazy-loads screenshots as <picture>s with AVIF and WebP sources', async () => {
+    initProjectSliders({ images: Promise.resolve(MANIFEST) });
+    await flush();
+
+    const [a, b] = document.querySelectorAll('.project-slider img');
+    const picture = a.parentElement;
+    assert.equal(picture.tagName, 'PICTURE');
+    assert.deepEqual(
+      Array.from(picture.querySelectorAll('source')).map((s) => [s.type, s.srcset]),
+      [
+        ['image/avif', 'images/a-360w.avif 360w, images/a-720w.avif 720w, images/a-1080w.avif 1080w'],
+        ['image/webp', 'images/a-360w.webp 360w, images/a-720w.webp 720w, images/a-1080w.webp 1080w'],
+      ]
+    );
+    assert.equal(a.getAttribute('src'), 'a.png');
+    assert.equal(a.loading, 'lazy');
+    assert.equal(a.getAttribute('width'), '1366');
+
+    // not in the manifest: stays a plain lazy img
+    assert.equal(b.parentElement.className, 'project-slider');
+    assert.equal(b.loading, 'lazy');
+  });
+
+  it('keeps the carousel working once the images are wrapped', async () => {
+    initProjectSliders({ images: MANIFEST });
+    await flush();
+    const slider = document.querySelector('.project-slider');
+    slider.querySelector('.slider-btn.next').click();
+    assert.equal(activeIndex(slider), 1);
+  });
+});
@@ -0,0 +1,85 @@
+import { FakeIntersectionObserver, flush, jsonResponse, setBody } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { backgroundFor, initLazyBackgrounds, loadImageManifest, pickWidth, variantPath } from '../js/responsive-images.js';
+
+const MANIFEST = {
+  formats: ['avif', 'webp'],
+  images: { 'circuit-bg.png': { width: 3000, height: 2000, widths: [640, 1280, 1920, 2560] } },
+};
+
+// section `width` CSS pixels wide with a data-bg background
+function section(width, bg = 'circuit-bg.png') {
+  const el = document.createElement('section');
+  el.dataset.bg = bg;
+  Object.defineProperty(el, 'clientWidth', { configurable: true, value: width });
+  document.body.appendChild(el);
+  return el;
+}
+
+describe('responsive image helpers', () => {
+  it('names variants after the original file', () => {
+    assert.equal(variantPath('circuit-bg.png', 640, 'avif'), 'images/circuit-bg-640w.avif');
+  });
+
+  it('picks the smallest width that covers the space, else the largest', () => {
+    assert.equal(pickWidth([1280, 640, 1920], 700), 1280);
+    assert.equal(pickWidth([640, 1280], 640), 640);
+    assert.equal(pickWidth([640, 1280], 4000), 1280);
+  });
+
+  it('falls back to an empty manifest when it cannot be loaded', async () => {
+    mock.method(console, 'warn', () => {});
+    globalThis.fetch = mock.fn(() => Promise.resolve(jsonResponse({}, { status: 404 })));
+    assert.deepEqual(await loadImageManifest(), { formats: [], images: {} });
+    assert.match(console.warn.mock.calls[0].arguments[0], /\[images\] could not load images\/manifest\.json/);
+    delete globalThis.fetch;
+    console.warn.mock.restore();
+  });
+});
+
+describe('backgroundFor', () => {
+  beforeEach(() => setBody(''));
+  afterEach(() => {
+    delete globalThis.CSS;
+    delete window.devicePixelRatio;
+  });
+
+  it('offers AVIF then WebP at the section’s width, with the original last', () => {
+    globalThis.CSS = { supports: () => true };
+    Object.defineProperty(window, 'devicePixelRatio', { configurable: true, value: 2 });
+    assert.equal(
+      backgroundFor(section(800), MANIFEST),
+      'image-set(url("images/circuit-bg-1920w.avif") type("image/avif"), url("images/circuit-bg-1920w.webp") type("image/webp"), url("circuit-bg.png"))'
+    );
+  });
+
+  it('uses the WebP variant where image-set() types are not supported', () => {
+    assert.equal(backgroundFor(section(500), MANIFEST), 'url("images/circuit-bg-640w.webp")');
+  });
+
+  it('keeps the original file for images without variants', () => {
+    assert.equal(backgroundFor(section(500, 'other.png'), MANIFEST), 'url("other.png")');
+  });
+});
+
+describe('initLazyBackgrounds', () => {
+  beforeEach(() => {
+    FakeIntersectionObserver.instances.length = 0;
+    setBody('');
+  });
+
+  it('sets a section’s background only once it nears the viewport', async () => {
+    const near = section(500);
+    const far = section(500);
+    initLazyBackgrounds({ images: Promise.resolve(MANIFEST) });
+    assert.equal(FakeIntersectionObserver.instances[0].options.rootMargin, '100% 0px');
+
+    FakeIntersectionObserver.trigger(near, true);
+    FakeIntersectionObserver.trigger(far, false);
+    await flush();
+    assert.equal(near.style.getPropertyValue('--section-bg'), 'url("images/circuit-bg-640w.webp")');
+    assert.equal(far.style.getPropertyValue('--section-bg'), '');
+    assert.ok(!FakeIntersectionObserver.instances[0].targets.has(near));
+  });
+});
@@ -0,0 +1,134 @@
+import { FakeIntersectionObserver, advance, setBody, setReducedMotion } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRevealer, initRevealModule } from '../js/reveal.js';
+
+const PAGE = `
+  <div id="about" data-reveal="slide" data-reveal-stagger="100">
+    <h2>About</h2><p>Text</p><a>Resume</a>
+  </div>
+  <h1 id="title" data-reveal="fade" data-reveal-delay="50">Tools</h1>
+  <div id="cards" data-reveal="road-drive" data-reveal-replay data-reveal-stagger="100">
+    <span>intro</span>
+    <div data-reveal-item>A</div>
+    <div data-reveal-item data-reveal-delay="0">B</div>
+    <div data-reveal-item>C</div>
+  </div>`;
+
+const el = (id) => document.getElementById(id);
+const revealed = (node) => node.classList.contains('is-revealed');
+
+describe('createRevealer', () => {
+  let reveal;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    FakeIntersectionObserver.instances.length = 0;
+    setBody(PAGE);
+    reveal = createRevealer();
+    initRevealModule({ reveal });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    setReducedMotion(false);
+  });
+
+  it('watches every block with one observer', () => {
+    assert.equal(FakeIntersectionObserver.instances.length, 1);
+    assert.equal(FakeIntersectionObserver.instances[0].targets.size, 3);
+  });
+
+  it('hides items until their block scrolls into view', () => {
+    const items = Array.from(el('about').children);
+    assert.ok(items.every((item) => item.classList.contains('reveal-item') && !revealed(item)));
+    assert.ok(el('title').classList.contains('reveal-item'));
+  });
+
+  it('staggers the children of a staggered block', () => {
+    const [h2, p, a] = el('about').children;
+    FakeIntersectionObserver.trigger(el('about'), true);
+    advance(10);
+    assert.ok(revealed(h2));
+    assert.ok(!revealed(p));
+    advance(100);
+    assert.ok(revealed(p));
+    assert.ok(!revealed(a));
+    advance(100);
+    assert.ok(revealed(a));
+  });
+
+  it('reveals a single block after its delay', () => {
+    FakeIntersectionObserver.trigger(el('title'), true);
+    advance(40);
+    assert.ok(!revealed(el('title')));
+    advance(20);
+    assert.ok(revealed(el('title')));
+  });
+
+  it('limits items to [data-reveal-item] and honours their own delays', () => {
+    const [intro, a, b, c] = el('cards').children;
+    assert.ok(!intro.classList.contains('reveal-item'));
+    FakeIntersectionObserver.trigger(el('cards'), true);
+    advance(10);
+    assert.ok(revealed(a) && revealed(b));
+    assert.ok(!revealed(c));
+    advance(100);
+    assert.ok(revealed(c));
+  });
+
+  it('reveals once by default and replays when asked', () => {
+    FakeIntersectionObserver.trigger(el('title'), true);
+    advance(100);
+    FakeIntersectionObserver.trigger(el('title'), false);
+    assert.ok(revealed(el('title')));
+    assert.equal(FakeIntersectionObserver.instances[0].targets.has(el('title')), false);
+
+    const card = el('cards').children[1];
+    FakeIntersectionObserver.trigger(el('cards'), true);
+    advance(300);
+    FakeIntersectionObserver.trigger(el('cards'), false);
+    assert.ok(!revealed(card));
+    FakeIntersectionObserver.trigger(el('cards'), true);
+    advance(10);
+    assert.ok(revealed(card));
+  });
+
+  it('cancels pending items when the block leaves view', () => {
+    const c = el('cards').children[3];
+    FakeIntersectionObserver.trigger(el('cards'), true);
+    FakeIntersectionObserver.trigger(el('cards'), false);
+    advance(300);
+    assert.ok(!revealed(c));
+  });
+
+  it('drops .reveal-item once the entrance transition ends', () => {
+    FakeIntersectionObserver.trigger(el('title'), true);
+    advance(60);
+    el('title').dispatchEvent(new Event('transitionend'));
+    assert.ok(!el('title').classList.contains('reveal-item'));
+  });
+
+  it('shows everything at once for reduced-motion users', () => {
+    setReducedMotion(true);
+    FakeIntersectionObserver.trigger(el('about'), true);
+    assert.ok(Array.from(el('about').children).every(revealed));
+  });
+
+  it('hides items rendered after observe() until the entrance', () => {
+    const late = document.createElement('p');
+    el('about').append(late);
+    reveal.refresh(el('about'));
+    assert.ok(late.classList.contains('reveal-item'));
+    assert.ok(!revealed(late));
+  });
+
+  it('falls back to plain reveals for an unknown preset', () => {
+    mock.method(console, 'warn', () => {});
+    const box = document.createElement('div');
+    reveal.observe(box, { preset: 'spin' });
+    assert.equal(box.dataset.reveal, undefined);
+    assert.match(console.warn.mock.calls[0].arguments[0], /\[reveal\] unknown preset "spin"/);
+    console.warn.mock.restore();
+  });
+});
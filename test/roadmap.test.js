@@ -0,0 +1,224 @@
+import { advance, flush, installFakeRaf, jsonResponse, setBody, setReducedMotion } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initRoadmapModule } from '../js/roadmap.js';
+
+const ROAD = `
+  <div class="road" id="road" data-content="roadmap.json">
+    <div class="road-car" id="roadCar"></div>
+    <div class="road-pins" id="roadPins" role="tablist"></div>
+  </div>
+  <div class="description-box" id="descriptionBox"><p id="descText"></p></div>`;
+
+const PINS = [
+  { id: 'about', label: 'About', text: 'Who I am.' },
+  { id: 'skills', label: 'Skills', text: 'What I use.', link: { text: 'See skills', href: '#skills' } },
+  { id: 'projects', label: 'Projects', text: 'What I built.' },
+];
+
+const router = { current: null, onChange: () => () => {} };
+const descText = () => document.getElementById('descText').textContent;
+
+function keydown(el, key) {
+  el.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+describe('initRoadmapModule', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    setBody(ROAD);
+    globalThis.fetch = mock.fn(() => Promise.resolve(jsonResponse(PINS)));
+  });
+
+  afterEach(() => {
+    window.dispatchEvent(new Event('pagehide'));
+    mock.timers.reset();
+    setReducedMotion(false);
+    delete globalThis.fetch;
+  });
+
+  async function init() {
+    const pins = initRoadmapModule({ router });
+    await flush();
+    return pins;
+  }
+
+  it('renders pins from JSON as a tablist with one tab stop', async () => {
+    const pins = await init();
+    assert.deepEqual(
+      pins.map((p) => p.dataset.pin),
+      ['about', 'skills', 'projects']
+    );
+    assert.equal(pins[0].getAttribute('aria-selected'), 'true');
+    assert.deepEqual(
+      pins.map((p) => p.tabIndex),
+      [0, -1, -1]
+    );
+    assert.equal(document.getElementById('descriptionBox').getAttribute('aria-labelledby'), pins[0].id);
+  });
+
+  it('falls back to markup pins when the JSON cannot load', async () => {
+    mock.method(console, 'warn', () => {});
+    globalThis.fetch = mock.fn(() => Promise.reject(new TypeError('offline')));
+    document.getElementById('road').insertAdjacentHTML(
+      'beforeend',
+      '<div class="pin" data-pin="tools" data-desc="My tools."><span class="label">Tools</span></div>'
+    );
+    const pins = await init();
+    assert.equal(pins.length, 1);
+    assert.equal(pins[0].dataset.pin, 'tools');
+  });
+
+  it('switches pins on click and types the description after the car arrives', async () => {
+    const pins = await init();
+    advance(500, 10);
+    assert.equal(descText(), 'Who I am.');
+
+    pins[2].click();
+    assert.ok(pins[2].classList.contains('active'));
+    assert.ok(!pins[0].classList.contains('active'));
+    assert.equal(descText(), '');
+
+    advance(1200, 10); // drive
+    await flush();
+    advance(1000, 10); // typing
+    assert.equal(descText(), 'What I built.');
+  });
+
+  it('cancels the old description when another pin is chosen mid-drive', async () => {
+    const pins = await init();
+    pins[1].click();
+    advance(100, 10);
+    pins[2].click();
+    advance(1500, 10);
+    await flush();
+    advance(1000, 10);
+    assert.equal(descText(), 'What I built.');
+    assert.equal(pins[2].getAttribute('aria-selected'), 'true');
+    assert.equal(pins[1].getAttribute('aria-selected'), 'false');
+  });
+
+  it('moves selection with arrow keys, Home and End', async () => {
+    const pins = await init();
+    keydown(pins[0], 'ArrowRight');
+    assert.equal(document.activeElement, pins[1]);
+    assert.equal(pins[1].tabIndex, 0);
+
+    keydown(pins[1], 'End');
+    assert.equal(document.activeElement, pins[2]);
+
+    keydown(pins[2], 'ArrowRight'); // wraps
+    assert.equal(document.activeElement, pins[0]);
+
+    keydown(pins[0], 'ArrowLeft');
+    assert.equal(document.activeElement, pins[2]);
+
+    keydown(pins[2], 'Home');
+    assert.equal(pins[0].getAttribute('aria-selected'), 'true');
+  });
+
+  it('jumps the car and shows text at once for reduced-motion users', async () => {
+    setReducedMotion(true);
+    const pins = await init();
+    pins[1].click();
+    await flush();
+    assert.equal(document.getElementById('roadCar').style.transition, 'none');
+    assert.equal(descText(), 'What I use. See skills');
+  });
+});
+
+describe('initRoadmapModule scroll-follow', () => {
+  const SECTION_HEIGHT = 800;
+  let scrollY;
+  let rafs;
+  let routeChange;
+  const car = () => document.getElementById('roadCar');
+  const road = () => document.getElementById('road');
+  const carX = () => Number(/translateX\((-?[\d.]+)px\)/.exec(car().style.transform)[1]);
+
+  // stacked 800px sections below the road; pins 400px apart on a 1000px road
+  function layout(pins) {
+    ['about', 'skills', 'projects'].forEach((id, i) => {
+      document.getElementById(id).getBoundingClientRect = () => {
+        const top = i * SECTION_HEIGHT - scrollY;
+        return { top, bottom: top + SECTION_HEIGHT, left: 0, width: 0, height: SECTION_HEIGHT };
+      };
+    });
+    pins.forEach((pin, i) => {
+      pin.getBoundingClientRect = () => ({ left: 100 + i * 400, width: 20, top: 0, bottom: 0, height: 0 });
+    });
+    Object.defineProperty(road(), 'clientWidth', { configurable: true, value: 1000 });
+  }
+
+  function scrollTo(y) {
+    scrollY = y;
+    window.dispatchEvent(new Event('scroll'));
+    rafs.frame();
+  }
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    rafs = installFakeRaf();
+    scrollY = -1000; // still above the tracked sections
+    setBody(`${ROAD}<section id="about"></section><section id="skills"></section><section id="projects"></section>`);
+    road().dataset.follow = 'scroll';
+    globalThis.fetch = mock.fn(() => Promise.resolve(jsonResponse(PINS)));
+  });
+
+  afterEach(() => {
+    window.dispatchEvent(new Event('pagehide'));
+    mock.timers.reset();
+    rafs.restore();
+    delete globalThis.fetch;
+  });
+
+  async function init() {
+    const followRouter = { current: null, onChange: (fn) => ((routeChange = fn), () => {}) };
+    const pins = initRoadmapModule({ router: followRouter });
+    await flush();
+    const rendered = await pins;
+    layout(rendered);
+    return rendered;
+  }
+
+  it('moves the car with reading progress and activates the nearest pin', async () => {
+    const pins = await init();
+    rafs.frame();
+    assert.ok(!road().classList.contains('is-docked'));
+
+    scrollTo(0); // midline (384px) 48% into About
+    assert.ok(road().classList.contains('is-docked'));
+    assert.ok(document.documentElement.classList.contains('road-docked'));
+    assert.ok(pins[0].classList.contains('active'));
+    assert.equal(carX(), 302);
+
+    scrollTo(600); // 23% into Skills
+    assert.ok(pins[1].classList.contains('active'));
+    assert.equal(pins[1].getAttribute('aria-selected'), 'true');
+    assert.equal(carX(), 602);
+    assert.equal(car().style.transition, 'none');
+
+    scrollTo(1100); // 86% into Skills: Projects is nearest
+    assert.ok(pins[2].classList.contains('active'));
+    assert.equal(carX(), 852);
+
+    // the docked strip does not retype descriptions as pins change
+    advance(1000, 10);
+    assert.equal(descText(), '');
+    assert.ok(!document.getElementById('descriptionBox').classList.contains('show'));
+
+    scrollTo(-1000);
+    assert.ok(!road().classList.contains('is-docked'));
+    assert.ok(!document.documentElement.classList.contains('road-docked'));
+    advance(1000, 10);
+    assert.equal(descText(), 'What I built.');
+  });
+
+  it('still follows routed sections', async () => {
+    const pins = await init();
+    routeChange('projects');
+    assert.ok(pins[2].classList.contains('active'));
+    advance(1000, 10);
+    assert.equal(descText(), 'What I built.');
+  });
+});
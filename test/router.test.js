@@ -0,0 +1,121 @@
+import { setBody } from './helpers/dom.js';
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSectionRouter } from '../js/router.js';
+
+const PAGE = `
+  <nav>
+    <a id="toAbout" href="#about">About</a>
+    <a id="toProject" href="#projects/fitness">Fitness</a>
+    <a id="toNowhere" href="#nowhere">Nowhere</a>
+  </nav>
+  <section id="home" data-route-default></section>
+  <section id="about"></section>
+  <section id="projects"></section>`;
+
+const click = (el, init = {}) => {
+  const event = new MouseEvent('click', { bubbles: true, cancelable: true, button: 0, ...init });
+  el.dispatchEvent(event);
+  return event;
+};
+
+// the router listens on window and document for good, so one instance serves
+// every test; each test starts from a fresh page and the default section
+describe('createSectionRouter', () => {
+  let router;
+  let changes;
+  let started; // state right after start(), before any test moves on
+
+  before(() => {
+    setBody(PAGE);
+    history.replaceState(null, '', '#projects/fitness');
+    router = createSectionRouter();
+    router.onChange((id, detail) => changes.push([id, detail]));
+    changes = [];
+    router.start();
+    started = {
+      current: router.current,
+      detail: router.detail,
+      scrolled: document.getElementById('projects').dataset.scrolledIntoView,
+      changes: [...changes],
+    };
+  });
+
+  beforeEach(() => {
+    setBody(PAGE);
+    router.go('home', { replace: true });
+    changes = [];
+  });
+
+  it('restores the section and detail from the URL on start', () => {
+    assert.deepEqual(started, { current: 'projects', detail: 'fitness', scrolled: 'true', changes: [['projects', 'fitness']] });
+  });
+
+  it('parses #id/detail and encodes it back into the hash', () => {
+    router.go('projects', { detail: 'fitness app' });
+    assert.equal(location.hash, '#projects/fitness%20app');
+    assert.equal(router.current, 'projects');
+    assert.equal(router.detail, 'fitness app');
+    assert.deepEqual(changes, [['projects', 'fitness app']]);
+  });
+
+  it('adds a history entry per go() unless replace is set', () => {
+    const start = history.length;
+    router.go('about');
+    assert.equal(history.length, start + 1);
+    assert.equal(location.hash, '#about');
+
+    router.go('projects', { replace: true });
+    assert.equal(history.length, start + 1);
+    assert.equal(location.hash, '#projects');
+  });
+
+  it('ignores sections that do not exist', () => {
+    assert.equal(router.go('nowhere'), false);
+    assert.equal(router.current, 'home');
+    assert.deepEqual(changes, []);
+  });
+
+  it('scrolls only when the section changes, not its detail', () => {
+    router.go('projects');
+    const projects = document.getElementById('projects');
+    delete projects.dataset.scrolledIntoView;
+    router.go('projects', { detail: 'fitness' });
+    assert.equal(projects.dataset.scrolledIntoView, undefined);
+  });
+
+  it('follows back / forward to the section in the URL', () => {
+    history.pushState(null, '', '#about/team');
+    window.dispatchEvent(new Event('popstate'));
+    assert.deepEqual(changes, [['about', 'team']]);
+    assert.equal(router.detail, 'team');
+
+    // an empty or malformed hash falls back to the default section
+    history.pushState(null, '', '#%E0');
+    window.dispatchEvent(new Event('popstate'));
+    assert.deepEqual(changes, [['about', 'team'], ['home', null]]);
+  });
+
+  it('unsubscribes listeners', () => {
+    const seen = [];
+    const off = router.onChange((id) => seen.push(id));
+    router.go('about');
+    off();
+    router.go('projects');
+    assert.deepEqual(seen, ['about']);
+  });
+
+  it('routes in-page link clicks through history', () => {
+    const event = click(document.getElementById('toProject'));
+    assert.equal(event.defaultPrevented, true);
+    assert.equal(location.hash, '#projects/fitness');
+    assert.deepEqual(changes, [['projects', 'fitness']]);
+  });
+
+  it('leaves modified clicks and unknown targets to the browser', () => {
+    assert.equal(click(document.getElementById('toAbout'), { ctrlKey: true }).defaultPrevented, false);
+    assert.equal(click(document.getElementById('toAbout'), { button: 1 }).defaultPrevented, false);
+    assert.equal(click(document.getElementById('toNowhere')).defaultPrevented, false);
+    assert.equal(router.current, 'home');
+  });
+});
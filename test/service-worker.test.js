@@ -0,0 +1,226 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import vm from 'node:vm';
+
+const root = new URL('../', import.meta.url);
+const ORIGIN = 'https://portfolio.test';
+const SOURCE = readFileSync(new URL('sw.js', root), 'utf8');
+
+const url = (path) => new URL(path, `${ORIGIN}/`).href;
+const request = (path, { mode = 'no-cors', method = 'GET', range } = {}) => ({
+  url: url(path),
+  method,
+  mode,
+  headers: new Headers(range ? { range } : {}),
+});
+
+// same-origin response as the browser would hand it to the worker
+function basic(body, init) {
+  const res = new Response(body, init);
+  Object.defineProperty(res, 'type', { value: 'basic' });
+  return res;
+}
+
+// in-memory CacheStorage keyed by absolute URL
+function createCaches() {
+  const stores = new Map();
+  const key = (req, ignoreSearch) => {
+    const href = url(typeof req === 'string' ? req : req.url);
+    return ignoreSearch ? href.split('?')[0] : href;
+  };
+  const open = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    const store = stores.get(name);
+    return Promise.resolve({
+      addAll: (paths) => Promise.all(paths.map((p) => scope.fetch(request(p)).then((res) => store.set(key(p), res)))),
+      put: (req, res) => Promise.resolve(void store.set(key(req), res)),
+      keys: () => Promise.resolve([...store.keys()].map((href) => ({ url: href }))),
+      match: (req) => Promise.resolve(store.get(key(req))?.clone()),
+    });
+  };
+  const scope = {
+    stores,
+    open,
+    keys: () => Promise.resolve([...stores.keys()]),
+    delete: (name) => Promise.resolve(stores.delete(name)),
+    match: (req, { ignoreSearch = false } = {}) => {
+      for (const store of stores.values()) {
+        const hit = store.get(key(req, ignoreSearch));
+        if (hit) return Promise.resolve(hit.clone());
+      }
+      return Promise.resolve(undefined);
+    },
+  };
+  return scope;
+}
+
+// runs sw.js in its own context; fetch answers from `network` (path -> body)
+function loadWorker(network = {}) {
+  const listeners = {};
+  const caches = createCaches();
+  const fetches = [];
+  const fetch = (req) => {
+    const path = new URL(req.url).pathname.slice(1);
+    fetches.push(path);
+    if (network.offline) return Promise.reject(new TypeError('Failed to fetch'));
+    return Promise.resolve(basic(network[path] !== undefined ? network[path] : `fresh ${path}`));
+  };
+  caches.fetch = fetch;
+  const self = {
+    location: { origin: ORIGIN },
+    addEventListener: (type, fn) => (listeners[type] = fn),
+    skipWaiting: () => Promise.resolve(),
+    clients: { claim: () => Promise.resolve() },
+  };
+  const context = vm.createContext({ self, caches, fetch, Request, Response, URL, console });
+  vm.runInContext(SOURCE, context);
+
+  // dispatch an extendable event; resolves { response, settled }
+  function dispatch(type, data = {}) {
+    const pending = [];
+    let response;
+    const event = { ...data, waitUntil: (p) => pending.push(p), respondWith: (p) => (response = p) };
+    listeners[type](event);
+    return Promise.resolve(response).then((res) => Promise.all(pending).then(() => ({ response: res, handled: !!response })));
+  }
+
+  return {
+    caches,
+    fetches,
+    network,
+    dispatch,
+    precache: vm.runInContext('PRECACHE', context),
+    cacheName: vm.runInContext('CACHE', context),
+  };
+}
+
+describe('sw.js', () => {
+  let worker;
+
+  beforeEach(() => {
+    worker = loadWorker();
+  });
+
+  it('precaches files that exist, including every script and content file', () => {
+    worker.precache.filter((p) => p !== './').forEach((p) => assert.ok(existsSync(new URL(p, root)), `missing ${p}`));
+    readdirSync(new URL('js/', root)).forEach((file) => assert.ok(worker.precache.includes(`js/${file}`), `js/${file} is not precached`));
+    ['projects.json', 'skills.json', 'tools.json', 'Resume.pdf'].forEach((file) => assert.ok(worker.precache.includes(file)));
+  });
+
+  it('precaches the files index.html links to under the same name', () => {
+    const html = readFileSync(new URL('index.html', root), 'utf8');
+    const links = [...html.matchAll(/href="([^"#:]+\.(?:pdf|mp4))"/g)].map((m) => m[1]);
+    assert.ok(links.includes('Resume.pdf'));
+    links.forEach((file) => assert.ok(worker.precache.includes(file), `${file} is not precached`));
+  });
+
+  it('fills the versioned cache on install and drops older ones on activate', async () => {
+    await worker.caches.open('portfolio-v0');
+    await worker.caches.open('other-app');
+    await worker.dispatch('install');
+    assert.equal(worker.caches.stores.get(worker.cacheName).size, new Set(worker.precache.map(url)).size);
+
+    await worker.dispatch('activate');
+    assert.deepEqual([...worker.caches.stores.keys()].sort(), ['other-app', worker.cacheName].sort());
+  });
+
+  it('answers from the cache and refreshes the copy for next time', async () => {
+    await (await worker.caches.open(worker.cacheName)).put(request('projects.json'), basic('old'));
+    worker.network['projects.json'] = 'new';
+
+    const first = await worker.dispatch('fetch', { request: request('projects.json') });
+    assert.equal(await first.response.text(), 'old');
+    assert.deepEqual(worker.fetches, ['projects.json']);
+
+    const second = await worker.dispatch('fetch', { request: request('projects.json') });
+    assert.equal(await second.response.text(), 'new');
+  });
+
+  it('goes to the network for files it has not cached yet', async () => {
+    const { response } = await worker.dispatch('fetch', { request: request('notes.txt') });
+    assert.equal(await response.text(), 'fresh notes.txt');
+    assert.ok(await worker.caches.match(request('notes.txt')));
+  });
+
+  it('serves the cached shell for pages requested offline', async () => {
+    await worker.dispatch('install');
+    worker.network.offline = true;
+    const { response } = await worker.dispatch('fetch', { request: request('projects?from=mail', { mode: 'navigate' }) });
+    assert.equal(await response.text(), 'fresh index.html');
+  });
+
+  it('precaches a small variant of each large image instead of the original', () => {
+    const manifest = JSON.parse(readFileSync(new URL('images/manifest.json', root), 'utf8'));
+    Object.entries(manifest.images).forEach(([src, { widths }]) => {
+      assert.ok(!worker.precache.includes(src), `${src} is precached`);
+      const smallest = `images/${src.replace(/\.\w+$/, '')}-${Math.min(...widths)}w.webp`;
+      assert.ok(worker.precache.includes(smallest), `${smallest} is not precached`);
+    });
+  });
+
+  it('falls back to the precached small copy when an image is not cached offline', async () => {
+    await worker.dispatch('install');
+    worker.network.offline = true;
+    const variant = await worker.dispatch('fetch', { request: request('images/projects-bg-1280w.avif') });
+    assert.equal(await variant.response.text(), 'fresh images/projects-bg-640w.webp');
+
+    const original = await worker.dispatch('fetch', { request: request('project1-1.png') });
+    assert.equal(await original.response.text(), 'fresh images/project1-1-360w.webp');
+
+    await assert.rejects(worker.dispatch('fetch', { request: request('logo-dark.png') }), /Failed to fetch/);
+  });
+
+  it('prefers a copy of the image cached while online', async () => {
+    await worker.dispatch('install');
+    await (await worker.caches.open(worker.cacheName)).put(request('projects-bg.png'), basic('full size'));
+    worker.network.offline = true;
+    const { response } = await worker.dispatch('fetch', { request: request('images/projects-bg-1920w.webp') });
+    assert.equal(await response.text(), 'full size');
+  });
+
+  it('cuts range requests for the video from the cached file', async () => {
+    await (await worker.caches.open(worker.cacheName)).put(request('car-dropby.mp4'), basic('0123456789', { headers: { 'Content-Type': 'video/mp4' } }));
+
+    const { response } = await worker.dispatch('fetch', { request: request('car-dropby.mp4', { range: 'bytes=2-5' }) });
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('Content-Range'), 'bytes 2-5/10');
+    assert.equal(await response.text(), '2345');
+
+    const tail = await worker.dispatch('fetch', { request: request('car-dropby.mp4', { range: 'bytes=-3' }) });
+    assert.equal(await tail.response.text(), '789');
+
+    const past = await worker.dispatch('fetch', { request: request('car-dropby.mp4', { range: 'bytes=20-' }) });
+    assert.equal(past.response.status, 416);
+    assert.deepEqual(worker.fetches, []);
+  });
+
+  it('keeps the video out of install and caches it the first time it plays', async () => {
+    await worker.dispatch('install');
+    assert.ok(!worker.precache.includes('car-dropby.mp4'));
+    assert.equal(await worker.caches.match(request('car-dropby.mp4')), undefined);
+
+    worker.network['car-dropby.mp4'] = '0123456789';
+    const first = await worker.dispatch('fetch', { request: request('car-dropby.mp4', { range: 'bytes=0-' }) });
+    assert.equal(first.response.status, 206);
+    assert.equal(await first.response.text(), '0123456789');
+    assert.deepEqual(worker.fetches.filter((p) => p.endsWith('.mp4')), ['car-dropby.mp4']);
+
+    worker.network.offline = true;
+    const seek = await worker.dispatch('fetch', { request: request('car-dropby.mp4', { range: 'bytes=4-6' }) });
+    assert.equal(await seek.response.text(), '456');
+  });
+
+  it('passes the video range to the network when it cannot be cached', async () => {
+    worker.network.offline = true;
+    await assert.rejects(worker.dispatch('fetch', { request: request('car-dropby.mp4', { range: 'bytes=0-' }) }), /Failed to fetch/);
+  });
+
+  it('leaves cross-origin and non-GET requests to the browser', async () => {
+    const post = await worker.dispatch('fetch', { request: request('mock/formspree', { method: 'POST' }) });
+    const cdn = await worker.dispatch('fetch', { request: { ...request('x'), url: 'https://formspree.io/f/abc' } });
+    assert.equal(post.handled, false);
+    assert.equal(cdn.handled, false);
+    assert.deepEqual(worker.fetches, []);
+  });
+});
@@ -0,0 +1,220 @@
+import { FakeIntersectionObserver, advance, flush, jsonResponse, setBody, setReducedMotion } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initSkillsModule } from '../js/skills.js';
+import { createTagIndex } from '../js/tag-index.js';
+
+const SKILLS = `
+  <section id="skills">
+    <div id="skillGroups" data-content="skills.json"></div>
+    <p id="skillsEmpty" hidden></p>
+    <div id="skillDetail" hidden>
+      <h2 class="skill-detail-name"></h2>
+      <p class="skill-detail-meta"></p>
+      <div class="skill-meter" role="meter"><span class="skill-meter-fill"></span></div>
+      <p id="skillDescription"></p>
+      <div class="skill-detail-projects"><ul class="skill-projects"></ul></div>
+    </div>
+  </section>`;
+
+const DATA = {
+  levels: ['Beginner', 'Familiar', 'Comfortable', 'Proficient', 'Expert'],
+  categories: [
+    { id: 'languages', label: 'Languages' },
+    { id: 'frameworks', label: 'Frameworks' },
+  ],
+  skills: [
+    { id: 'html', name: 'HTML', icon: 'fab fa-html5', category: 'languages', level: 4, years: 2, projects: ['fitness', 'nope'], desc: 'Markup\n      and semantics.' },
+    { id: 'css', name: 'CSS', category: 'languages', level: 3, years: 1, projects: [], desc: 'Layout and motion.' },
+    { id: 'react', name: 'React', category: 'frameworks', level: 2, years: 1.5, desc: 'Components.' },
+    { id: 'figma', name: 'Figma', category: 'design', level: 1 },
+  ],
+};
+
+const PROJECTS = [{ project: { id: 'fitness', title: 'Fitness Website' } }];
+
+describe('initSkillsModule', () => {
+  let section;
+  let skills;
+  const $ = (s) => section.querySelector(s);
+
+  // render from DATA, then pick up the generated skills
+  async function init(options) {
+    const result = initSkillsModule(options);
+    await flush();
+    skills = Array.from(section.querySelectorAll('.skill'));
+    return result;
+  }
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    FakeIntersectionObserver.instances.length = 0;
+    setBody(SKILLS);
+    section = document.getElementById('skills');
+    globalThis.fetch = mock.fn(() => Promise.resolve(jsonResponse(DATA)));
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    window.dispatchEvent(new Event('pagehide'));
+    mock.timers.reset();
+    setReducedMotion(false);
+    delete globalThis.fetch;
+    console.warn.mock.restore();
+  });
+
+  it('renders one bracketed row per category, listed categories first', async () => {
+    const rendered = await init({ projects: PROJECTS });
+    assert.equal(rendered.length, 4);
+    const groups = Array.from(section.querySelectorAll('.skill-group'));
+    assert.deepEqual(
+      groups.map((g) => g.dataset.category),
+      ['languages', 'frameworks', 'design']
+    );
+    assert.equal(groups[0].querySelector('.skill-group-label').textContent, 'Languages');
+    assert.equal(groups[2].querySelector('.skill-group-label').textContent, 'Design');
+    assert.equal(groups[0].querySelectorAll('.skill').length, 2);
+    assert.equal(groups[1].querySelectorAll('.bracket').length, 2);
+    assert.equal(skills[0].getAttribute('role'), 'button');
+    assert.equal(skills[3].querySelector('i').className, 'fas fa-code');
+  });
+
+  it('opens each row’s brackets, then reveals skills in sequence when visible', async () => {
+    await init();
+    FakeIntersectionObserver.trigger(section, true);
+    const [left1, right1, left2] = section.querySelectorAll('.bracket');
+
+    advance(500, 10);
+    assert.ok(left1.classList.contains('is-revealed'));
+    assert.ok(right1.classList.contains('is-revealed'));
+    assert.ok(left2.classList.contains('is-revealed')); // second row 250ms later
+    assert.ok(!skills[0].classList.contains('is-revealed'));
+
+    advance(600, 10);
+    assert.ok(skills[0].classList.contains('is-revealed'));
+    assert.ok(!skills[1].classList.contains('is-revealed'));
+
+    advance(200, 10);
+    assert.ok(skills[1].classList.contains('is-revealed'));
+  });
+
+  it('reveals everything at once for reduced-motion users', async () => {
+    setReducedMotion(true);
+    await init();
+    FakeIntersectionObserver.trigger(section, true);
+
+    assert.ok(skills.every((s) => s.classList.contains('is-revealed')));
+    assert.ok($('.bracket.left').classList.contains('is-revealed'));
+  });
+
+  it('replays the sequence and drops the selection after leaving view', async () => {
+    await init();
+    FakeIntersectionObserver.trigger(section, true);
+    advance(1500, 10);
+    skills[0].click();
+
+    FakeIntersectionObserver.trigger(section, false);
+    assert.ok(!skills[0].classList.contains('is-revealed'));
+    assert.ok(!skills[0].classList.contains('center'));
+    assert.ok(!$('.bracket.left').classList.contains('is-revealed'));
+    assert.equal(document.getElementById('skillDetail').hidden, true);
+
+    FakeIntersectionObserver.trigger(section, true);
+    advance(1100, 10);
+    assert.ok(skills[0].classList.contains('is-revealed'));
+  });
+
+  it('centres a clicked skill and types its description; a second click clears it', async () => {
+    await init();
+    skills[0].click();
+    assert.ok(skills[0].classList.contains('center'));
+    assert.equal(skills[0].getAttribute('aria-pressed'), 'true');
+    assert.ok(skills[1].classList.contains('fade'));
+
+    advance(2000, 10);
+    assert.equal(document.getElementById('skillDescription').textContent, 'Markup and semantics.');
+
+    skills[0].click();
+    assert.ok(!skills[0].classList.contains('center'));
+    assert.equal(skills[0].getAttribute('aria-pressed'), 'false');
+    assert.equal(document.getElementById('skillDescription').textContent, '');
+    assert.equal(document.getElementById('skillDetail').hidden, true);
+  });
+
+  it('shows category, level, years and a proficiency meter', async () => {
+    await init({ projects: PROJECTS });
+    skills[0].click();
+    assert.equal(document.getElementById('skillDetail').hidden, false);
+    assert.equal($('.skill-detail-name').textContent, 'HTML');
+    assert.equal($('.skill-detail-meta').textContent, 'Languages · Proficient · 2 years');
+
+    const meter = $('.skill-meter');
+    assert.equal(meter.getAttribute('aria-valuenow'), '4');
+    assert.equal(meter.getAttribute('aria-valuemax'), '5');
+    assert.equal(meter.getAttribute('aria-valuetext'), 'Proficient (4 of 5)');
+    assert.equal($('.skill-meter-fill').style.width, '80%');
+
+    skills[2].click();
+    assert.equal($('.skill-detail-meta').textContent, 'Frameworks · Familiar · 1.5 years');
+  });
+
+  it('leaves out the level, years and meter for skills without them', async () => {
+    globalThis.fetch = mock.fn(() =>
+      Promise.resolve(jsonResponse({ ...DATA, skills: [{ id: 'react', name: 'React', category: 'frameworks', desc: 'Components.' }] }))
+    );
+    await init();
+    skills[0].click();
+    assert.equal($('.skill-detail-meta').textContent, 'Frameworks');
+    assert.equal($('.skill-meter').hidden, true);
+  });
+
+  it('links the projects that use a skill and hides the list when there are none', async () => {
+    await init({ projects: Promise.resolve(PROJECTS) });
+    skills[0].click();
+    const links = Array.from(section.querySelectorAll('.skill-projects a'));
+    assert.deepEqual(
+      links.map((a) => [a.getAttribute('href'), a.textContent]),
+      [['#projects/fitness', 'Fitness Website']]
+    );
+    assert.match(console.warn.mock.calls[0].arguments[0], /HTML lists unknown project "nope"/);
+    assert.equal($('.skill-detail-projects').hidden, false);
+
+    skills[1].click();
+    assert.equal($('.skill-detail-projects').hidden, true);
+  });
+
+  it('selects the chosen skill in the tag index and lets go when something else is chosen', async () => {
+    const tagIndex = createTagIndex();
+    const tool = document.createElement('div');
+    section.append(tool);
+    tagIndex.add('tool', 'github', tool, [], 'GitHub');
+    await init({ tagIndex });
+
+    skills[0].click();
+    assert.deepEqual(tagIndex.selection, { kind: 'skill', id: 'html', label: 'HTML' });
+    skills[0].click();
+    assert.equal(tagIndex.selection, null);
+
+    skills[1].click();
+    tagIndex.select('tool', 'github');
+    assert.ok(!skills[1].classList.contains('center'));
+    assert.equal(document.getElementById('skillDetail').hidden, true);
+    assert.equal(tagIndex.selection.id, 'github');
+  });
+
+  it('cancels typing when another skill is chosen', async () => {
+    await init();
+    skills[0].click();
+    advance(200, 10);
+    skills[1].dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', cancelable: true }));
+    advance(2000, 10);
+    assert.equal(document.getElementById('skillDescription').textContent, 'Layout and motion.');
+  });
+
+  it('shows a message when skills.json cannot be loaded', async () => {
+    globalThis.fetch = mock.fn(() => Promise.resolve(jsonResponse({}, { status: 404 })));
+    assert.deepEqual(await init(), []);
+    assert.equal(document.getElementById('skillsEmpty').hidden, false);
+    assert.match(console.warn.mock.calls[0].arguments[0], /\[skills\] could not load skills\.json/);
+  });
+});
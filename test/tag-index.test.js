@@ -0,0 +1,143 @@
+import { flush, jsonResponse, setBody } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTagIndex, normalizeTag } from '../js/tag-index.js';
+import { initProjectCatalog } from '../js/project-catalog.js';
+
+const el = (id) => document.getElementById(id);
+const has = (node, cls) => node.classList.contains(cls);
+
+describe('createTagIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    setBody(`
+      <div id="s-html"></div><div id="s-react"></div>
+      <div id="t-vscode"></div><div id="t-figma"></div>
+      <div id="p-fitness"></div><div id="p-shop"></div>`);
+    index = createTagIndex();
+    index.add('skill', 'html', el('s-html'), [], 'HTML');
+    index.add('skill', 'react', el('s-react'), [], 'React');
+    index.add('tool', 'vscode', el('t-vscode'), [], 'VS Code');
+    index.add('tool', 'figma', el('t-figma'), [], 'Figma');
+    index.add('project', 'fitness', el('p-fitness'), ['HTML5', 'VS Code'], 'Fitness');
+    index.add('project', 'shop', el('p-shop'), ['JS'], 'Shop');
+  });
+
+  it('folds spellings of the same technology together', () => {
+    assert.equal(normalizeTag('JS'), 'javascript');
+    assert.equal(normalizeTag('HTML5'), 'html');
+    assert.equal(normalizeTag('VS Code'), 'vscode');
+    assert.equal(normalizeTag('Next.js'), 'next-js');
+  });
+
+  it('links items of other kinds that share a tag', () => {
+    assert.deepEqual(
+      index.related('project', 'fitness').map((it) => it.id),
+      ['html', 'vscode']
+    );
+    assert.deepEqual(index.related('skill', 'react'), []);
+  });
+
+  it('highlights matches in order and dims the other sections', () => {
+    const changes = [];
+    index.onChange((selection) => changes.push(selection));
+    assert.equal(index.select('project', 'fitness'), true);
+
+    assert.ok(has(el('p-fitness'), 'is-tag-source'));
+    assert.ok(has(el('s-html'), 'is-tag-match'));
+    assert.equal(el('t-vscode').style.getPropertyValue('--tag-order'), '1');
+    assert.ok(has(el('s-react'), 'is-tag-dimmed'));
+    assert.ok(has(el('t-figma'), 'is-tag-dimmed'));
+    assert.ok(!has(el('p-shop'), 'is-tag-dimmed')); // same kind is left alone
+
+    assert.equal(changes[0].label, 'Fitness');
+    assert.deepEqual(
+      changes[0].related.map((it) => it.el),
+      [el('s-html'), el('t-vscode')]
+    );
+  });
+
+  it('clears on a second select of the same item', () => {
+    const changes = [];
+    index.onChange((selection) => changes.push(selection));
+    index.select('skill', 'html');
+    assert.equal(index.select('skill', 'html'), false);
+    assert.equal(changes[1], null);
+    assert.equal(index.selection, null);
+    assert.ok(['s-html', 'p-fitness', 's-react'].every((id) => !el(id).className));
+  });
+});
+
+describe('initProjectCatalog with a tag index', () => {
+  const PROJECTS = {
+    filters: ['HTML', 'React'],
+    projects: [
+      { id: 'fitness', title: 'Fitness', tags: ['HTML'], stack: ['JavaScript'], tools: ['VS Code'] },
+      { id: 'todo', title: 'Todo', tags: ['React'] },
+    ],
+  };
+  let index;
+  let cards;
+
+  beforeEach(async () => {
+    setBody(`
+      <div id="projectFilters"></div>
+      <p id="projectTagFilter" hidden><strong class="project-tag-name"></strong><button class="project-tag-clear"></button></p>
+      <div id="projectsContainer" data-content="projects.json"></div>
+      <p id="projectsEmpty" hidden></p>
+      <div id="skill-js"></div><div id="skill-css"></div>`);
+    globalThis.fetch = mock.fn(() => Promise.resolve(jsonResponse(PROJECTS)));
+    index = createTagIndex();
+    index.add('skill', 'javascript', el('skill-js'), [], 'JavaScript');
+    index.add('skill', 'css', el('skill-css'), [], 'CSS');
+    await initProjectCatalog({ tagIndex: index });
+    cards = Array.from(document.querySelectorAll('.project-card'));
+  });
+
+  afterEach(() => {
+    delete globalThis.fetch;
+  });
+
+  it('narrows the cards to the chosen skill and restores them on clear', async () => {
+    index.select('skill', 'javascript');
+    assert.deepEqual(
+      cards.map((c) => c.hidden),
+      [false, true]
+    );
+    assert.equal(el('projectTagFilter').hidden, false);
+    assert.equal(document.querySelector('.project-tag-name').textContent, 'JavaScript');
+
+    document.querySelector('.project-tag-clear').click();
+    assert.equal(index.selection, null);
+    assert.ok(cards.every((c) => !c.hidden));
+    assert.equal(el('projectTagFilter').hidden, true);
+  });
+
+  it('says so when no project uses the skill', () => {
+    index.select('skill', 'css');
+    assert.ok(cards.every((c) => c.hidden));
+    assert.equal(el('projectsEmpty').textContent, 'No CSS projects yet — check back soon.');
+  });
+
+  it('hands back to the filter bar when a filter is picked', () => {
+    index.select('skill', 'javascript');
+    const react = Array.from(document.querySelectorAll('.project-filter')).find((b) => b.textContent === 'React');
+    react.click();
+    assert.equal(index.selection, null);
+    assert.deepEqual(
+      cards.map((c) => c.hidden),
+      [true, false]
+    );
+  });
+
+  it('selects a project’s skills and tools from its card', async () => {
+    const btn = cards[0].querySelector('.project-related-btn');
+    btn.click();
+    assert.deepEqual(index.selection, { kind: 'project', id: 'fitness', label: 'Fitness' });
+    assert.equal(btn.getAttribute('aria-pressed'), 'true');
+    assert.ok(has(el('skill-js'), 'is-tag-match'));
+    assert.ok(has(el('skill-css'), 'is-tag-dimmed'));
+    assert.ok(cards.every((c) => !c.hidden)); // choosing a project does not filter
+  });
+});
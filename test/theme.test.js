@@ -0,0 +1,133 @@
+import { setBody, setSystemTheme } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { THEME_KEY, createThemeController, initThemeToggle, themeColor } from '../js/theme.js';
+import { initParticlesModule } from '../js/particles.js';
+
+const root = document.documentElement;
+
+describe('createThemeController', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    delete root.dataset.theme;
+    setSystemTheme('dark');
+  });
+
+  it('follows the system theme until the visitor picks one', () => {
+    const theme = createThemeController();
+    assert.equal(theme.current, 'dark');
+    assert.equal(theme.preference, null);
+
+    setSystemTheme('light');
+    assert.equal(root.dataset.theme, 'light');
+
+    theme.set('dark');
+    setSystemTheme('dark');
+    setSystemTheme('light');
+    assert.equal(root.dataset.theme, 'dark');
+  });
+
+  it('persists the chosen theme and restores it', () => {
+    createThemeController().toggle();
+    assert.equal(localStorage.getItem(THEME_KEY), 'light');
+    assert.equal(createThemeController().current, 'light');
+  });
+
+  it('set(null) forgets the preference', () => {
+    const theme = createThemeController();
+    theme.set('light');
+    theme.set(null);
+    assert.equal(localStorage.getItem(THEME_KEY), null);
+    assert.equal(theme.current, 'dark');
+  });
+
+  it('ignores unknown saved values', () => {
+    localStorage.setItem(THEME_KEY, 'sepia');
+    assert.equal(createThemeController().current, 'dark');
+  });
+
+  it('notifies subscribers only when the theme actually changes', () => {
+    const theme = createThemeController();
+    const seen = [];
+    const off = theme.onChange((t) => seen.push(t));
+    theme.set('dark');
+    theme.set('light');
+    off();
+    theme.set('dark');
+    assert.deepEqual(seen, ['light']);
+  });
+});
+
+describe('initThemeToggle', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    setSystemTheme('dark');
+    setBody('<button id="themeToggle" aria-label="Light theme"><i class="fas fa-sun"></i></button>');
+  });
+
+  it('toggles the theme and reflects it in aria-pressed', () => {
+    const theme = createThemeController();
+    initThemeToggle({ theme });
+    const btn = document.getElementById('themeToggle');
+    assert.equal(btn.getAttribute('aria-pressed'), 'false');
+
+    btn.click();
+    assert.equal(theme.current, 'light');
+    assert.equal(btn.getAttribute('aria-pressed'), 'true');
+    assert.equal(btn.querySelector('i').className, 'fas fa-moon');
+  });
+});
+
+describe('theme-aware canvases', () => {
+  let style;
+
+  beforeEach(() => {
+    localStorage.clear();
+    setSystemTheme('dark');
+    style = document.createElement('style');
+    style.textContent = `
+      :root { --color-dust: #ffffffaa; }
+      :root[data-theme="light"] { --color-dust: rgba(29, 53, 87, 0.35); }`;
+    document.head.appendChild(style);
+  });
+
+  afterEach(() => {
+    style.remove();
+    window.dispatchEvent(new Event('pagehide'));
+  });
+
+  it('reads colours from CSS custom properties', () => {
+    const theme = createThemeController();
+    assert.equal(themeColor('--color-dust'), '#ffffffaa');
+    theme.set('light');
+    assert.equal(themeColor('--color-dust'), 'rgba(29, 53, 87, 0.35)');
+    assert.equal(themeColor('--color-missing', 'red'), 'red');
+  });
+
+  it('repaints the particles straight away in the new colours', () => {
+    setBody('<section><canvas id="particlesCanvas"></canvas></section>');
+    const fills = [];
+    const ctx = {
+      clearRect: mock.fn(),
+      beginPath() {},
+      arc() {},
+      fill() {
+        fills.push(this.fillStyle);
+      },
+      save() {},
+      restore() {},
+      translate() {},
+      fillText() {},
+    };
+    document.getElementById('particlesCanvas').getContext = () => ctx;
+
+    const theme = createThemeController();
+    initParticlesModule({ theme });
+    assert.equal(fills.at(-1), '#ffffffaa');
+
+    const painted = ctx.clearRect.mock.callCount();
+    theme.set('light');
+    assert.equal(ctx.clearRect.mock.callCount(), painted + 1);
+    assert.equal(fills.at(-1), 'rgba(29, 53, 87, 0.35)');
+  });
+});
@@ -0,0 +1,115 @@
+import { installFakeRaf } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTicker, FRAME_MS } from '../js/ticker.js';
+
+function setHidden(hidden) {
+  Object.defineProperty(document, 'hidden', { value: hidden, configurable: true });
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+// busy-wait so a callback costs real time against the frame budget
+function work(ms) {
+  const end = performance.now() + ms;
+  while (performance.now() < end);
+}
+
+describe('createTicker', () => {
+  let rafs;
+
+  beforeEach(() => {
+    rafs = installFakeRaf();
+  });
+
+  afterEach(() => {
+    setHidden(false);
+    rafs.restore();
+  });
+
+  it('only requests frames while something is subscribed', () => {
+    const ticker = createTicker();
+    assert.equal(rafs.pending, 0);
+    const remove = ticker.add(() => {});
+    assert.equal(rafs.pending, 1);
+    remove();
+    assert.equal(rafs.pending, 0);
+    assert.equal(ticker.running, false);
+  });
+
+  it('passes the time since each callback last ran', () => {
+    const ticker = createTicker();
+    const deltas = [];
+    ticker.add((dt) => deltas.push(Math.round(dt)));
+    rafs.frame(16);
+    rafs.frame(8); // 120 Hz frame
+    rafs.frame(33);
+    assert.deepEqual(deltas, [Math.round(FRAME_MS), 8, 33]);
+  });
+
+  it('clamps long gaps', () => {
+    const ticker = createTicker({ maxDelta: 100 });
+    const deltas = [];
+    ticker.add((dt) => deltas.push(dt));
+    rafs.frame();
+    rafs.frame(5000);
+    assert.equal(deltas[1], 100);
+  });
+
+  it('pauses while the tab is hidden and restarts with a fresh delta', () => {
+    const ticker = createTicker();
+    const deltas = [];
+    ticker.add((dt) => deltas.push(Math.round(dt)));
+    rafs.frame(16);
+
+    setHidden(true);
+    assert.equal(rafs.pending, 0);
+    rafs.frame(5000);
+    assert.equal(deltas.length, 1);
+
+    setHidden(false);
+    rafs.frame(16);
+    assert.deepEqual(deltas, [Math.round(FRAME_MS), Math.round(FRAME_MS)]);
+  });
+
+  it('defers callbacks past the frame budget to the next frame', () => {
+    const ticker = createTicker({ budget: 5 });
+    const calls = [];
+    ticker.add(() => (calls.push('heavy'), work(8)));
+    ticker.add((dt) => calls.push(`light ${Math.round(dt)}`));
+
+    rafs.frame(16);
+    assert.deepEqual(calls, ['heavy']);
+    rafs.frame(16);
+    // the deferred callback runs first and gets the time it waited
+    assert.deepEqual(calls, ['heavy', `light ${Math.round(FRAME_MS)}`, 'heavy']);
+  });
+
+  it('drops quality one step when the measured frame rate falls', () => {
+    const ticker = createTicker({ sampleFrames: 10, minFps: 45 });
+    const seen = [];
+    ticker.onQualityChange((q) => seen.push(q));
+    ticker.add(() => {});
+    assert.equal(ticker.quality, 1);
+
+    for (let i = 0; i < 11; i++) rafs.frame(16);
+    assert.equal(ticker.quality, 1);
+
+    for (let i = 0; i < 10; i++) rafs.frame(40); // 25 fps
+    assert.equal(ticker.quality, 0.6);
+    for (let i = 0; i < 10; i++) rafs.frame(40);
+    for (let i = 0; i < 10; i++) rafs.frame(40);
+    assert.deepEqual(seen, [0.6, 0.35]);
+    assert.equal(ticker.quality, 0.35);
+  });
+
+  it('stop() drops every subscriber', () => {
+    const ticker = createTicker();
+    let calls = 0;
+    ticker.add(() => calls++);
+    ticker.add(() => calls++);
+    ticker.stop();
+    rafs.frame();
+    assert.equal(calls, 0);
+    assert.equal(rafs.pending, 0);
+  });
+});
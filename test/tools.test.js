@@ -0,0 +1,136 @@
+import { flush, jsonResponse, setBody } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initToolsModule } from '../js/tools.js';
+import { createTagIndex } from '../js/tag-index.js';
+
+const DATA = {
+  categories: [
+    { id: 'design', label: 'Design' },
+    { id: 'code', label: 'Code' },
+  ],
+  tools: [
+    { id: 'figma', name: 'Figma', category: 'design', icon: 'https://cdn.example/figma.svg', fallback: 'icons/figma.svg', usage: 'Wireframes first.' },
+    { id: 'vscode', name: 'VS Code', category: 'code', icon: 'https://cdn.example/vscode.svg', usage: 'Everyday editor.' },
+    { name: 'GitHub', category: 'version-control', usage: 'Repositories.' },
+    { category: 'code' },
+  ],
+};
+
+describe('initToolsModule', () => {
+  let cards;
+  const toggle = (card) => card.querySelector('.tool-card-toggle');
+  const usage = (card) => card.querySelector('.tool-card-usage');
+  const key = (el, k) => el.dispatchEvent(new KeyboardEvent('keydown', { key: k, bubbles: true, cancelable: true }));
+
+  async function init(options) {
+    const tools = await initToolsModule(options);
+    cards = Array.from(document.querySelectorAll('.tool-card'));
+    return tools;
+  }
+
+  beforeEach(() => {
+    setBody(`
+      <div id="toolsContainer" data-content="tools.json"></div>
+      <p id="toolsEmpty" hidden></p>`);
+    globalThis.fetch = mock.fn(() => Promise.resolve(jsonResponse(DATA)));
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    delete globalThis.fetch;
+    console.warn.mock.restore();
+  });
+
+  it('renders the tools grouped by category, listed categories first', async () => {
+    const tools = await init();
+    assert.equal(tools.length, 3);
+    assert.match(console.warn.mock.calls[0].arguments[0], /\[tools\] skipping tool without a name/);
+
+    const groups = Array.from(document.querySelectorAll('.tool-group'));
+    assert.deepEqual(
+      groups.map((g) => [g.dataset.category, g.querySelector('.tool-group-label').textContent]),
+      [
+        ['design', 'Design'],
+        ['code', 'Code'],
+        ['version-control', 'Version-control'],
+      ]
+    );
+    assert.deepEqual(
+      cards.map((c) => c.dataset.tool),
+      ['figma', 'vscode', 'github']
+    );
+    assert.ok(cards.every((c) => c.hasAttribute('data-reveal-item')));
+  });
+
+  it('expands one card at a time to show how the tool is used', async () => {
+    await init();
+    toggle(cards[0]).click();
+    assert.equal(toggle(cards[0]).getAttribute('aria-expanded'), 'true');
+    assert.equal(usage(cards[0]).hidden, false);
+    assert.equal(usage(cards[0]).textContent, 'Wireframes first.');
+    assert.equal(toggle(cards[0]).getAttribute('aria-controls'), usage(cards[0]).id);
+
+    toggle(cards[1]).click();
+    assert.ok(!cards[0].classList.contains('is-open'));
+    assert.ok(cards[1].classList.contains('is-open'));
+
+    toggle(cards[1]).click();
+    assert.equal(usage(cards[1]).hidden, true);
+  });
+
+  it('closes on Escape and moves between cards with the arrow keys', async () => {
+    await init();
+    toggle(cards[0]).click();
+    key(toggle(cards[0]), 'Escape');
+    assert.ok(!cards[0].classList.contains('is-open'));
+
+    toggle(cards[0]).focus();
+    key(toggle(cards[0]), 'ArrowRight');
+    assert.equal(document.activeElement, toggle(cards[1]));
+    key(toggle(cards[1]), 'End');
+    assert.equal(document.activeElement, toggle(cards[2]));
+    key(toggle(cards[2]), 'ArrowRight');
+    assert.equal(document.activeElement, toggle(cards[0])); // wraps around
+  });
+
+  it('falls back to the local icon, then to a lettered badge', async () => {
+    await init();
+    const img = cards[0].querySelector('img');
+    img.dispatchEvent(new Event('error'));
+    assert.equal(img.getAttribute('src'), 'icons/figma.svg');
+    img.dispatchEvent(new Event('error'));
+    assert.equal(cards[0].querySelector('.tool-icon-fallback').textContent, 'F');
+
+    cards[1].querySelector('img').dispatchEvent(new Event('error'));
+    assert.equal(cards[1].querySelector('.tool-icon-fallback').textContent, 'VC');
+    assert.equal(cards[2].querySelector('img'), null); // no icon at all
+    assert.equal(cards[2].querySelector('.tool-icon-fallback').textContent, 'G');
+  });
+
+  it('selects the open card in the tag index and closes when something else is chosen', async () => {
+    const tagIndex = createTagIndex();
+    const project = document.createElement('div');
+    document.body.append(project);
+    tagIndex.add('project', 'site', project, ['VS Code'], 'Site');
+    await init({ tagIndex });
+
+    toggle(cards[1]).click();
+    assert.deepEqual(tagIndex.selection, { kind: 'tool', id: 'vscode', label: 'VS Code' });
+    assert.ok(project.classList.contains('is-tag-match'));
+
+    toggle(cards[1]).click();
+    assert.equal(tagIndex.selection, null);
+
+    toggle(cards[0]).click();
+    tagIndex.select('project', 'site');
+    assert.ok(!cards[0].classList.contains('is-open'));
+    assert.ok(cards[1].classList.contains('is-tag-match'));
+  });
+
+  it('shows a message when tools.json cannot be loaded', async () => {
+    globalThis.fetch = mock.fn(() => Promise.reject(new Error('offline')));
+    assert.deepEqual(await init(), []);
+    assert.equal(document.getElementById('toolsEmpty').hidden, false);
+  });
+});
@@ -0,0 +1,96 @@
+import { advance, setBody, setReducedMotion } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTypewriter } from '../js/typewriter.js';
+
+describe('createTypewriter', () => {
+  let el;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    setBody('<p id="out"></p>');
+    el = document.getElementById('out');
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    setReducedMotion(false);
+  });
+
+  it('types one character per tick and announces only the finished text', async () => {
+    const typer = createTypewriter(el, { speed: 10 });
+    const live = el.nextElementSibling;
+    const done = typer.type('Hello');
+
+    advance(10);
+    assert.equal(el.textContent, 'H');
+    assert.equal(el.getAttribute('aria-busy'), 'true');
+    assert.equal(live.textContent, '');
+
+    advance(40);
+    assert.equal(await done, true);
+    assert.equal(el.textContent, 'Hello');
+    assert.equal(live.textContent, 'Hello');
+    assert.equal(el.hasAttribute('aria-busy'), false);
+  });
+
+  it('types rich content across text nodes', async () => {
+    const typer = createTypewriter(el, { speed: 10, announce: false });
+    const frag = document.createDocumentFragment();
+    frag.appendChild(document.createTextNode('Go '));
+    const a = document.createElement('a');
+    a.textContent = 'here';
+    frag.appendChild(a);
+
+    const done = typer.type(frag);
+    advance(40);
+    assert.equal(el.textContent, 'Go h');
+    advance(30);
+    assert.equal(await done, true);
+    assert.equal(el.querySelector('a').textContent, 'here');
+  });
+
+  it('resolves false when cancelled and stops typing', async () => {
+    const typer = createTypewriter(el, { speed: 10 });
+    const done = typer.type('Cancelled');
+    advance(20);
+    typer.cancel();
+
+    assert.equal(await done, false);
+    assert.equal(typer.typing, false);
+    advance(200);
+    assert.equal(el.textContent, 'Ca');
+    assert.equal(el.nextElementSibling.textContent, '');
+  });
+
+  it('resolves false for a job superseded by a new one', async () => {
+    const typer = createTypewriter(el, { speed: 10 });
+    const first = typer.type('First');
+    advance(10);
+    const second = typer.type('Second');
+
+    assert.equal(await first, false);
+    advance(60);
+    assert.equal(await second, true);
+    assert.equal(el.textContent, 'Second');
+  });
+
+  it('skip() jumps to the full text', async () => {
+    const typer = createTypewriter(el, { speed: 10 });
+    const done = typer.type('Skip me');
+    advance(10);
+    typer.skip();
+
+    assert.equal(await done, true);
+    assert.equal(el.textContent, 'Skip me');
+  });
+
+  it('shows the full text at once for reduced-motion users', async () => {
+    setReducedMotion(true);
+    const typer = createTypewriter(el, { speed: 10 });
+    const done = typer.type('Instant');
+
+    assert.equal(el.textContent, 'Instant');
+    assert.equal(await done, true);
+  });
+});
@@ -0,0 +1,37 @@
+import { setBody } from './helpers/dom.js';
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initUpArrows } from '../js/up-arrows.js';
+
+describe('initUpArrows', () => {
+  let pager;
+
+  beforeEach(() => {
+    setBody(`
+      <div class="hero" id="home"></div>
+      <section class="work-roadmap" id="workRoadmap"></section>
+      <section id="skills"></section>`);
+    pager = { goTo: mock.fn(() => true) };
+  });
+
+  it('adds one keyboard-accessible arrow per section', () => {
+    initUpArrows({ pager });
+    initUpArrows({ pager });
+    const arrows = document.querySelectorAll('.goto-arrow');
+    assert.equal(arrows.length, 2);
+    arrows.forEach((a) => {
+      assert.equal(a.getAttribute('role'), 'button');
+      assert.equal(a.tabIndex, 0);
+    });
+  });
+
+  it('goes to the hero from the roadmap and to the roadmap from elsewhere', () => {
+    initUpArrows({ pager });
+    document.querySelector('#workRoadmap .goto-arrow').click();
+    document.querySelector('#skills .goto-arrow').dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', cancelable: true }));
+    assert.deepEqual(
+      pager.goTo.mock.calls.map((c) => c.arguments[0]),
+      ['home', 'workRoadmap']
+    );
+  });
+});
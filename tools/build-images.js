@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/* ========================================================
+   Builds AVIF / WebP variants of the site's large images
+   - One file per format and width: images/<name>-<width>w.<format>
+   - Widths wider than the source are skipped; the source
+     width is used instead when it falls below the largest
+   - Writes images/manifest.json, which js/responsive-images.js
+     reads to build srcsets and section backgrounds
+   - Variants newer than their source are left alone
+
+   Usage:
+     npm install && npm run build:images [-- --force]
+   ======================================================== */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUT = path.join(ROOT, 'images');
+const FORCE = process.argv.includes('--force');
+
+// best first: the page offers them in this order
+const FORMATS = {
+  avif: { quality: 50, effort: 4 },
+  webp: { quality: 75 },
+};
+
+// full-screen section backgrounds vs. screenshots in 360px-wide cards
+const BACKGROUND_WIDTHS = [640, 1280, 1920, 2560];
+const SCREENSHOT_WIDTHS = [360, 720, 1080];
+
+const IMAGES = {
+  'background.png': BACKGROUND_WIDTHS,
+  'circuit-bg.png': BACKGROUND_WIDTHS,
+  'projects-bg.png': BACKGROUND_WIDTHS,
+  'project1-1.png': SCREENSHOT_WIDTHS,
+  'project1-2.png': SCREENSHOT_WIDTHS,
+  'project2-1.png': SCREENSHOT_WIDTHS,
+  'project2-2.png': SCREENSHOT_WIDTHS,
+};
+
+// widths to build for a source `width` pixels wide
+function widthsFor(width, wanted) {
+  const widths = wanted.filter((w) => w < width);
+  if (widths.length < wanted.length) widths.push(width);
+  return widths;
+}
+
+// must match variantPath() in js/responsive-images.js
+const variantName = (src, width, format) => `${src.replace(/\.\w+$/, '')}-${width}w.${format}`;
+
+function upToDate(file, source) {
+  return !FORCE && fs.existsSync(file) && fs.statSync(file).mtimeMs >= fs.statSync(source).mtimeMs;
+}
+
+async function build(src, wanted) {
+  const source = path.join(ROOT, src);
+  const { width, height } = await sharp(source).metadata();
+  const widths = widthsFor(width, wanted);
+
+  for (const w of widths) {
+    for (const [format, options] of Object.entries(FORMATS)) {
+      const file = path.join(OUT, variantName(src, w, format));
+      if (upToDate(file, source)) continue;
+      const info = await sharp(source).resize({ width: w }).toFormat(format, options).toFile(file);
+      console.log(`  ${path.relative(ROOT, file)} (${Math.round(info.size / 1024)} KB)`);
+    }
+  }
+  return { width, height, widths };
+}
+
+async function main() {
+  sharp.concurrency(1); // one core is plenty for a handful of images
+  fs.mkdirSync(OUT, { recursive: true });
+  console.log('Building responsive images into images/');
+
+  const manifest = { formats: Object.keys(FORMATS), images: {} };
+  for (const [src, widths] of Object.entries(IMAGES)) {
+    manifest.images[src] = await build(src, widths);
+  }
+  fs.writeFileSync(path.join(OUT, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log('  images/manifest.json');
+}
+
+main().catch((err) => {
+  console.error('[images] build failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/* ========================================================
+   Local mock backend for the contact form
+   - Serves the site and records every submission in memory
+   - Rewrites the contact form in index.html to post here
+   - Simulates 4xx/5xx replies and slow responses (timeouts)
+
+   Usage:
+     node tools/mock-contact-server.js [--port 8787] [--transport formspree|webhook]
+                                       [--status 200] [--delay 0]
+
+   Endpoints:
+     POST   /mock/formspree     form-encoded / multipart / JSON, Formspree-style reply
+     POST   /mock/webhook       JSON body
+     GET    /mock/submissions   recorded submissions
+     DELETE /mock/submissions   clear recorded submissions
+     GET    /mock/behavior      current simulated behaviour
+     POST   /mock/behavior      { "status": 503, "delay": 15000, "times": 1 }
+   Either endpoint also takes ?status=&delay= for one-off failures.
+   ======================================================== */
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// --- CLI flags ---
+function flag(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const PORT = Number(flag('port', process.env.PORT || 8787));
+const TRANSPORT = flag('transport', 'formspree');
+
+// default reply; POST /mock/behavior overrides it (optionally for N requests)
+const defaults = { status: Number(flag('status', 200)), delay: Number(flag('delay', 0)) };
+let behavior = { ...defaults, times: Infinity };
+
+const submissions = [];
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.mp4': 'video/mp4',
+  '.vtt': 'text/vtt; charset=utf-8',
+  '.pdf': 'application/pdf',
+  '.woff2': 'font/woff2',
+};
+
+// --- helpers ---
+function sendJSON(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// text fields from a multipart/form-data body
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!match) return {};
+  const boundary = `--${match[1] || match[2]}`;
+  const fields = {};
+  body.split(boundary).forEach((part) => {
+    const name = /name="([^"]*)"/.exec(part);
+    const split = part.indexOf('\r\n\r\n');
+    if (!name || split === -1) return;
+    fields[name[1]] = part.slice(split + 4).replace(/\r\n$/, '');
+  });
+  return fields;
+}
+
+function parseFields(body, contentType = '') {
+  if (contentType.includes('application/json')) return JSON.parse(body || '{}');
+  if (contentType.includes('multipart/form-data')) return parseMultipart(body, contentType);
+  return Object.fromEntries(new URLSearchParams(body));
+}
+
+// behaviour for this request: query string wins over the configured behaviour
+function takeBehavior(url) {
+  const q = url.searchParams;
+  if (q.has('status') || q.has('delay')) {
+    return { status: Number(q.get('status')) || 200, delay: Number(q.get('delay')) || 0 };
+  }
+  const current = { status: behavior.status, delay: behavior.delay };
+  if (Number.isFinite(behavior.times) && --behavior.times <= 0) behavior = { ...defaults, times: Infinity };
+  return current;
+}
+
+// --- mock endpoints ---
+async function handleSubmit(req, res, url, kind) {
+  let fields;
+  try {
+    fields = parseFields(await readBody(req), req.headers['content-type']);
+  } catch (err) {
+    return sendJSON(res, 400, { errors: [{ message: 'Malformed body' }] });
+  }
+
+  const { status, delay } = takeBehavior(url);
+  const record = { id: submissions.length + 1, kind, receivedAt: new Date().toISOString(), status, fields };
+  submissions.push(record);
+  console.log(`[mock] ${kind} #${record.id} → ${status}${delay ? ` after ${delay}ms` : ''}`, fields);
+
+  setTimeout(() => {
+    if (res.writableEnded || res.destroyed) return; // client gave up (timeout test)
+    if (status >= 200 && status < 300) sendJSON(res, status, { ok: true, id: record.id });
+    else sendJSON(res, status, { errors: [{ message: `Mock error ${status}` }] });
+  }, delay);
+}
+
+async function handleMock(req, res, url) {
+  const route = url.pathname.replace(/\/+$/, '');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Accept',
+    });
+    return res.end();
+  }
+
+  if (req.method === 'POST' && route === '/mock/formspree') return handleSubmit(req, res, url, 'formspree');
+  if (req.method === 'POST' && route === '/mock/webhook') return handleSubmit(req, res, url, 'webhook');
+
+  if (route === '/mock/submissions') {
+    if (req.method === 'GET') return sendJSON(res, 200, submissions);
+    if (req.method === 'DELETE') {
+      submissions.length = 0;
+      return sendJSON(res, 200, { ok: true });
+    }
+  }
+
+  if (route === '/mock/behavior') {
+    if (req.method === 'POST') {
+      try {
+        const next = JSON.parse((await readBody(req)) || '{}');
+        behavior = {
+          status: Number(next.status) || defaults.status,
+          delay: Number(next.delay) || 0,
+          times: Number(next.times) || Infinity,
+        };
+      } catch (err) {
+        return sendJSON(res, 400, { errors: [{ message: 'Malformed body' }] });
+      }
+    }
+    return sendJSON(res, 200, { ...behavior, times: String(behavior.times) });
+  }
+
+  return sendJSON(res, 404, { errors: [{ message: 'Unknown mock route' }] });
+}
+
+// --- static site ---
+// point the contact form at this server instead of the live service
+function rewriteIndex(html) {
+  const endpoint = TRANSPORT === 'webhook' ? '/mock/webhook' : '/mock/formspree';
+  return html.replace(/<form([^>]*class="contact-form"[^>]*)>/, (tag, attrs) => {
+    const cleaned = attrs.replace(/\s(action|data-transport)="[^"]*"/g, '');
+    return `<form${cleaned} action="${endpoint}" data-transport="${TRANSPORT}">`;
+  });
+}
+
+function serveStatic(req, res, url) {
+  let rel;
+  try {
+    rel = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+  } catch (err) {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    return res.end('Bad request');
+  }
+  const file = path.join(ROOT, path.normalize(rel));
+  if (!file.startsWith(ROOT)) {
+    res.writeHead(403);
+    return res.end('Forbidden');
+  }
+
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end('Not found');
+    }
+    const type = MIME[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(path.basename(file) === 'index.html' ? rewriteIndex(data.toString('utf8')) : data);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (url.pathname.startsWith('/mock/')) {
+    handleMock(req, res, url).catch((err) => {
+      console.error('[mock] handler failed', err);
+      if (!res.headersSent) sendJSON(res, 500, { errors: [{ message: 'Mock server error' }] });
+    });
+  } else {
+    serveStatic(req, res, url);
+  }
+});
+
+// --port 0 picks a free port; the log shows the real one
+server.listen(PORT, () => {
+  console.log(`[mock] site + contact mock on http://localhost:${server.address().port} (transport: ${TRANSPORT})`);
+});
+
+export default server;
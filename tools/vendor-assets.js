@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/* ========================================================
+   Copies the fonts and icons the page uses into vendor/
+   - Font Awesome Free (CSS + woff2 webfonts)
+   - Anta from Fontsource (latin + latin-ext woff2)
+   - Devicon SVGs for the tools in tools.json
+   - The ChatGPT logo, built from Simple Icons' OpenAI mark
+     (pinned to 10.4.0, the last release that ships it)
+   The output is committed, so the site keeps working with
+   no CDN; re-run after bumping one of these packages.
+
+   Usage:
+     npm install && npm run vendor
+   ======================================================== */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MODULES = path.join(ROOT, 'node_modules');
+const OUT = path.join(ROOT, 'vendor');
+
+// devicon name -> file under vendor/icons/
+const DEVICONS = {
+  figma: 'figma/figma-original.svg',
+  canva: 'canva/canva-original.svg',
+  vscode: 'vscode/vscode-original.svg',
+  github: 'github/github-original.svg',
+};
+
+// ChatGPT's app icon: the OpenAI mark in white on its green tile
+const CHATGPT_TILE = '#74AA9C';
+
+// Anta subsets, in the order the @font-face rules are written
+const ANTA_SUBSETS = ['latin-ext', 'latin'];
+
+function copy(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  fs.copyFileSync(from, to);
+  console.log(`  ${path.relative(ROOT, to)}`);
+}
+
+function write(to, text) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  fs.writeFileSync(to, text);
+  console.log(`  ${path.relative(ROOT, to)}`);
+}
+
+// every browser that runs the service worker reads woff2, so the truetype
+// fallbacks are dropped from the CSS rather than shipped
+function fontAwesome() {
+  const pkg = path.join(MODULES, '@fortawesome/fontawesome-free');
+  const css = fs
+    .readFileSync(path.join(pkg, 'css/all.min.css'), 'utf8')
+    .replace(/,url\(\.\.\/webfonts\/[\w-]+\.ttf\) format\("truetype"\)/g, '');
+  write(path.join(OUT, 'fontawesome/css/all.min.css'), css);
+  fs.readdirSync(path.join(pkg, 'webfonts'))
+    .filter((file) => file.endsWith('.woff2'))
+    .forEach((file) => copy(path.join(pkg, 'webfonts', file), path.join(OUT, 'fontawesome/webfonts', file)));
+}
+
+function anta() {
+  const pkg = path.join(MODULES, '@fontsource/anta');
+  const ranges = JSON.parse(fs.readFileSync(path.join(pkg, 'unicode.json'), 'utf8'));
+  const rules = ANTA_SUBSETS.map((subset) => {
+    const file = `anta-${subset}-400-normal.woff2`;
+    copy(path.join(pkg, 'files', file), path.join(OUT, 'fonts', file));
+    // unicode-range lets the browser download only the subsets it needs
+    return [
+      `/* anta-${subset}-400-normal */`,
+      '@font-face {',
+      "  font-family: 'Anta';",
+      '  font-style: normal;',
+      '  font-display: swap;',
+      '  font-weight: 400;',
+      `  src: url(./${file}) format('woff2');`,
+      `  unicode-range: ${ranges[subset]};`,
+      '}',
+    ].join('\n');
+  });
+  write(path.join(OUT, 'fonts/anta.css'), `${rules.join('\n\n')}\n`);
+}
+
+function devicons() {
+  Object.entries(DEVICONS).forEach(([name, file]) =>
+    copy(path.join(MODULES, 'devicon/icons', file), path.join(OUT, 'icons', `${name}.svg`))
+  );
+}
+
+function chatgpt() {
+  const svg = fs.readFileSync(path.join(MODULES, 'simple-icons/icons/openai.svg'), 'utf8');
+  const mark = svg.match(/<path d="([^"]+)"/)[1];
+  write(
+    path.join(OUT, 'icons/chatgpt.svg'),
+    [
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32">',
+      `  <rect width="32" height="32" rx="7" fill="${CHATGPT_TILE}"/>`,
+      `  <path transform="translate(4 4)" fill="#fff" d="${mark}"/>`,
+      '</svg>',
+      '',
+    ].join('\n')
+  );
+}
+
+if (!fs.existsSync(MODULES)) {
+  console.error('[vendor] node_modules is missing, run `npm install` first.');
+  process.exit(1);
+}
+
+console.log('Vendoring fonts and icons into vendor/');
+fs.rmSync(OUT, { recursive: true, force: true });
+fontAwesome();
+anta();
+devicons();
+chatgpt();